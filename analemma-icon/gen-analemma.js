@@ -6,20 +6,17 @@ const fs = require('fs');
 const glyphsSrc = fs.readFileSync(__dirname + '/../glyphs.js', 'utf8');
 const Glyphs = new Function(glyphsSrc + '; return Glyphs;')();
 
-const SIGN_COLOR = [
-  '#99FFCC',  // 0  Aries
-  '#99FF99',  // 1  Taurus
-  '#CCFF99',  // 2  Gemini
-  '#FFFF99',  // 3  Cancer
-  '#FFCC99',  // 4  Leo
-  '#FF9999',  // 5  Virgo
-  '#FF99CC',  // 6  Libra
-  '#FF99FF',  // 7  Scorpio
-  '#CCCCFF',  // 8  Sagittarius
-  '#99CCFF',  // 9  Capricorn
-  '#66CCFF',  // 10 Aquarius
-  '#66FFFF',  // 11 Pisces
-];
+// Colours from the app's themes; pick one with the first argument
+// (default light, which writes analemma.svg; others analemma-<theme>.svg).
+const themesSrc = fs.readFileSync(__dirname + '/../themes.js', 'utf8');
+const THEMES = new Function(themesSrc + '; return THEMES;')();
+const themeName = process.argv[2] || 'light';
+const theme = THEMES[themeName];
+if (!theme) {
+  console.error(`unknown theme ${themeName}; one of ${Object.keys(THEMES).join(', ')}`);
+  process.exit(1);
+}
+const SIGN_COLOR = theme.signs;
 
 const RADS = Math.PI / 180;
 
@@ -176,7 +173,7 @@ for (const sp of seasonPoints) {
 
 svg += '</svg>\n';
 
-const outPath = __dirname + '/analemma.svg';
+const outPath = __dirname + (themeName === 'light' ? '/analemma.svg' : `/analemma-${themeName}.svg`);
 fs.writeFileSync(outPath, svg);
 console.log('wrote', outPath);
 console.log('bounds: EoT', minX.toFixed(1), 'to', maxX.toFixed(1), 'min');
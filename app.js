@@ -1,13 +1,23 @@
 // app.js — Port of TroLunViewer.java
 // Orchestrates rendering, pan, season navigation, and date picker.
-// Depends on astro.js and calendarDate.js.
+// Depends on astro.js, zone.js, themes.js, locale.js, calendarDate.js and wheel.js.
 
 (function () {
   'use strict';
 
   const HEADER_HEIGHT = 44;   // px; matches #header height in style.css
 
-  const SEASON_NAMES = ['Spring', 'Summer', 'Autumn', 'Winter'];
+  // Name of a season index (0 = from the March equinox) in the selected
+  // hemisphere, where the south is two seasons on, and language.
+  function seasonName(season) {
+    return _locale().seasons[(season + (hemisphere === 'south' ? 2 : 0)) % 4];
+  }
+
+  // "Winter 2025 / 2026": the season from the December solstice straddles
+  // the new year in either hemisphere (it is summer in the south).
+  function seasonTitle(season, year, sep = '\u2009/\u2009') {
+    return `${seasonName(season)}  ${season === 3 ? `${year}${sep}${year + 1}` : year}`;
+  }
 
   // ── Canvas setup ──────────────────────────────────────────────────────────
 
@@ -18,7 +28,8 @@
     canvas.width  = window.innerWidth;
     canvas.height = window.innerHeight - HEADER_HEIGHT;
     // Re-fit after resize; centreOnSeason recomputes scaling from bounds.
-    if (seasonCalendar.length > 0) centreOnSeason();
+    // The scroll view keeps its place instead.
+    if (seasonCalendar.length > 0 && !scrollView) centreOnSeason();
     markDirty();
   }
 
@@ -31,53 +42,116 @@
   let offsetY          = 0;
   let targetDate       = new Date();
   let seasonCalendar   = [];
-  let seasonBoundaries = [];   // [{y, season, year}] dividers between seasons
-  let viewSeasons      = 1;    // 1 = one season, 4 = full year
+  let seasonBoundaries = [];   // [{x, y, season, year}] dividers between seasons
+  let viewSeasons      = 1;     // 1 = one season, 4 = full year
+  let wheelView        = false; // year laid out as a wheel instead of a grid
+  let wheel            = null;  // Wheel.build() of that year
+  let scrollView       = false; // seasons stacked in one continuous scroll
+  let rangeView        = false; // exactly the days rangeFrom … rangeTo
+  let rangeFrom        = null;
+  let rangeTo          = null;
   let bounds           = { top: 0, left: 0, bottom: 0, right: 0 };
 
   // ── Season construction ───────────────────────────────────────────────────
 
-  function findFirstInSeason(date) {
-    let d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const targetSeason = Astro.season(Astro.endOfDay(d));
-    for (let i = 0; i < 200; i++) {
-      d = new Date(d.getTime() - 86400000);
-      if (Astro.season(Astro.endOfDay(d)) !== targetSeason) {
-        return new Date(d.getTime() + 86400000);
-      }
-    }
-    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  // First day whose sample (see dayBoundary) lies in the same season as
+  // date's: the local day of the latest equinox/solstice before date's
+  // sample. Uses the timeline's season events when it reaches back far enough.
+  function findFirstInSeason(date, timeline = null) {
+    const d     = TimeZone.startOfDay(date);
+    const end   = _daySpan(d).sample;
+    const from  = new Date(end.getTime() - 100 * 86400000);
+    const starts = (timeline && timeline.covers(from, end))
+      ? timeline.between('season', from, end)
+      : Astro.findEvents(from, end, ['season']);
+    if (starts.length === 0) return d;
+    const at    = starts[starts.length - 1].date;
+    const first = TimeZone.startOfDay(at);
+    // The event's own day when its sample comes after it (on a 25-hour DST
+    // day the end-of-day sample can precede a late event).
+    return _daySpan(first).sample > at ? first : TimeZone.addDays(first, 1);
   }
 
-  function constructSeason(date) {
-    seasonCalendar   = [];
-    seasonBoundaries = [];
-
-    const first = findFirstInSeason(date);
-    let current  = new CalendarDate(first);
-    current.mPlace = { x: 0, y: 0 };
+  // One timeline spans everything a build looks at: 100 days back for the
+  // season start (which also covers the new-moon-week look-back) and up to
+  // 100 days per season forward, plus the 16 days either side of each full
+  // or new moon that its perigee and apogee are looked for in.
+  function seasonTimeline(date, seasons) {
+    const d = TimeZone.startOfDay(date);
+    return new Timeline(new Date(d.getTime() - 117 * 86400000),
+                        new Date(d.getTime() + (seasons * 100 + 17) * 86400000));
+  }
 
-    let trackSeason  = current.season;
-    let seasonsBuilt = 1;
+  // Lay out days from `current` (placed at { 0, 0 }) onward for as long as
+  // more(day, count) holds, count being the days laid so far, marking each
+  // change of season with a divider: { days, boundaries, bounds }.
+  function layOut(current, more) {
+    const days       = [];
+    const boundaries = [];
+    const box        = { top: Infinity, left: Infinity, bottom: -Infinity, right: -Infinity };
 
-    bounds = { top: Infinity, left: Infinity, bottom: -Infinity, right: -Infinity };
+    current.mPlace = { x: 0, y: 0 };
+    let trackSeason = current.season;
 
-    for (let i = 0; i < viewSeasons * 120; i++) {
+    while (more(current, days.length)) {
       if (current.season !== trackSeason) {
-        if (seasonsBuilt >= viewSeasons) break;
-        seasonsBuilt++;
-        seasonBoundaries.push({ y: current.mPlace.y, season: current.season, year: current.date.getFullYear() });
+        boundaries.push({ ...current.mPlace, season: current.season, year: TimeZone.parts(current.date).year });
         trackSeason = current.season;
       }
 
-      seasonCalendar.push(current);
-      bounds.top    = Math.min(bounds.top,    current.topPoint);
-      bounds.left   = Math.min(bounds.left,   current.leftPoint);
-      bounds.bottom = Math.max(bounds.bottom, current.bottomPoint);
-      bounds.right  = Math.max(bounds.right,  current.rightPoint);
+      days.push(current);
+      box.top    = Math.min(box.top,    current.topPoint);
+      box.left   = Math.min(box.left,   current.leftPoint);
+      box.bottom = Math.max(box.bottom, current.bottomPoint);
+      box.right  = Math.max(box.right,  current.rightPoint);
 
       current = current.next();
     }
+    return { days, boundaries, bounds: box };
+  }
+
+  // Lay out `seasons` seasons from the one containing date as one grid.
+  function buildSeasons(date, seasons) {
+    const timeline = seasonTimeline(date, seasons);
+    const first    = new CalendarDate(findFirstInSeason(date, timeline), timeline);
+    let season       = first.season;
+    let seasonsBuilt = 1;
+    return layOut(first, (day, n) => {
+      if (day.season !== season) {
+        if (seasonsBuilt >= seasons) return false;
+        seasonsBuilt++;
+        season = day.season;
+      }
+      return n < seasons * 120;
+    });
+  }
+
+  // Lay out exactly the days from `from` through `to` (at most
+  // RANGE_MAX_DAYS) as one grid, with dividers where the season changes.
+  const RANGE_MAX_DAYS = 1200;
+
+  function buildRange(from, to) {
+    const start    = TimeZone.startOfDay(from);
+    const end      = Astro.endOfDay(TimeZone.startOfDay(to));
+    const timeline = new Timeline(new Date(start.getTime() - 17 * 86400000),
+                                  new Date(end.getTime() + 17 * 86400000));
+    return layOut(new CalendarDate(start, timeline, start),
+                  (day, n) => day.date < end && n < RANGE_MAX_DAYS);
+  }
+
+  function constructSeason(date) {
+    const built = rangeView ? buildRange(rangeFrom, rangeTo) : buildSeasons(date, viewSeasons);
+    seasonCalendar   = built.days;
+    seasonBoundaries = built.boundaries;
+    bounds           = built.bounds;
+
+    // The wheel view builds a year like the year view, then lays it out as
+    // a circle whose bounding square replaces the grid's bounds.
+    wheel = null;
+    if (wheelView) {
+      wheel  = Wheel.build(seasonCalendar);
+      bounds = { top: 0, left: 0, bottom: 2 * wheel.radius, right: 2 * wheel.radius };
+    }
   }
 
   // ── Rendering ─────────────────────────────────────────────────────────────
@@ -91,42 +165,69 @@
     }
   }
 
+  // Dashed line and label style of the season dividers, from the theme.
+  function setDividerStyle() {
+    const d = _theme().divider;
+    ctx.strokeStyle  = d.stroke;
+    ctx.lineWidth    = 2 / scaling;
+    ctx.setLineDash(d.dash.map(n => n / scaling));
+    ctx.font         = '0.28px Georgia, serif';
+    ctx.fillStyle    = d.label;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign    = 'left';
+  }
+
+  // World position the grid (or the wheel's bounding square) is drawn from.
+  function gridOrigin() {
+    const margin = 0.25;
+    return { ox: margin - bounds.left, oy: 0.5 };
+  }
+
   function draw() {
     dirty = false;
 
     ctx.setTransform(scaling, 0, 0, scaling, offsetX, offsetY);
 
     const invScale = 1 / scaling;
-    ctx.clearRect(
+    ctx.fillStyle = _theme().background;
+    ctx.fillRect(
       -offsetX * invScale,
       -offsetY * invScale,
       canvas.width  * invScale,
       canvas.height * invScale
     );
 
-    const margin = 0.25;
-    const ox = margin - bounds.left;
-    const oy = 0.5;
+    const { ox, oy } = gridOrigin();
+
+    if (wheel) {
+      Wheel.render(ctx, wheel, ox + wheel.radius, oy + wheel.radius);
+      return;
+    }
+
+    if (scrollView) {
+      drawScroll(ox, oy);
+      extendScroll();
+      return;
+    }
 
-    // Season boundary dividers (year view)
+    // Season boundary dividers (year view). A season can start mid-row, so
+    // each divider steps around its first day: along the bottom of that row
+    // to the day's left edge, up the edge, then along the top of the row.
     if (seasonBoundaries.length > 0) {
       const x0 = bounds.left + ox - 0.3;
       const x1 = bounds.right + ox + 0.3;
       ctx.save();
-      ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-      ctx.lineWidth   = 2 / scaling;
-      ctx.setLineDash([8 / scaling, 6 / scaling]);
-      ctx.font         = '0.28px Georgia, serif';
-      ctx.fillStyle    = 'rgba(40, 40, 40, 0.7)';
-      ctx.textBaseline = 'bottom';
-      ctx.textAlign    = 'left';
+      setDividerStyle();
       for (const sb of seasonBoundaries) {
         const ly = sb.y + oy;
+        const lx = sb.x + ox;
         ctx.beginPath();
-        ctx.moveTo(x0, ly);
-        ctx.lineTo(x1, ly);
+        ctx.moveTo(x0,        ly + 0.5);
+        ctx.lineTo(lx - 1/6,  ly + 0.5);
+        ctx.lineTo(lx,        ly);
+        ctx.lineTo(x1,        ly);
         ctx.stroke();
-        ctx.fillText(`${SEASON_NAMES[sb.season]}  ${sb.year}`, x0 + 0.1, ly - 0.04);
+        ctx.fillText(`${seasonName(sb.season)}  ${sb.year}`, x0 + 0.1, ly - 0.04);
       }
       ctx.restore();
     }
@@ -136,6 +237,97 @@
     }
   }
 
+  // ── Continuous scroll ─────────────────────────────────────────────────────
+
+  // In the scroll view seasons are stacked top to bottom, each laid out on
+  // its own and SCROLL_GAP below the last. They are built one per frame as
+  // the viewport nears either end of those loaded, and dropped again once
+  // they are more than two screens away. seasonCalendar (and targetDate)
+  // follow the season under the middle of the screen, so the header,
+  // Print and the other views pick up wherever the scroll has got to.
+  const SCROLL_GAP      = 0.75;
+  const SCROLL_MAX_LOAD = 16;   // stop loading when zoomed far out
+
+  let scrollSeasons = [];       // [{ days, season, year, top, bottom }], world y
+
+  function scrollSeason(date, placeTop) {
+    const built = buildSeasons(date, 1);
+    const first = built.days[0];
+    const h     = built.bounds.bottom - built.bounds.top;
+    const top   = placeTop === undefined ? 0 : placeTop(h);
+    return { days: built.days, season: first.season, year: TimeZone.parts(first.date).year,
+             top, bottom: top + h };
+  }
+
+  function startScroll(date) {
+    wheel          = null;
+    scrollSeasons  = [scrollSeason(date)];
+    seasonCalendar = scrollSeasons[0].days;
+    bounds         = { top: 0, left: Infinity, bottom: scrollSeasons[0].bottom, right: -Infinity };
+    for (const day of seasonCalendar) {
+      bounds.left  = Math.min(bounds.left,  day.leftPoint);
+      bounds.right = Math.max(bounds.right, day.rightPoint);
+    }
+  }
+
+  function drawScroll(ox, oy) {
+    ctx.save();
+    setDividerStyle();
+    const x0 = bounds.left + ox - 0.3;
+    const x1 = bounds.right + ox + 0.3;
+    for (const s of scrollSeasons) {
+      const ly = s.top + oy - SCROLL_GAP / 2;
+      ctx.beginPath();
+      ctx.moveTo(x0, ly);
+      ctx.lineTo(x1, ly);
+      ctx.stroke();
+      ctx.fillText(seasonTitle(s.season, s.year), x0 + 0.1, ly - 0.04);
+    }
+    ctx.restore();
+
+    for (const s of scrollSeasons) {
+      for (const day of s.days) day.render(ctx, ox, oy + s.top);
+    }
+  }
+
+  // Load or drop at most one season, then redraw if anything changed.
+  function extendScroll() {
+    const viewTop    = -offsetY / scaling - 0.5;
+    const viewBottom = (canvas.height - offsetY) / scaling - 0.5;
+    const reach      = viewBottom - viewTop;
+    const first      = scrollSeasons[0];
+    const last       = scrollSeasons[scrollSeasons.length - 1];
+    let changed = false;
+
+    if (scrollSeasons.length < SCROLL_MAX_LOAD && first.top > viewTop - reach / 2) {
+      scrollSeasons.unshift(scrollSeason(TimeZone.addDays(first.days[0].date, -1),
+                                         (h) => first.top - SCROLL_GAP - h));
+      changed = true;
+    } else if (scrollSeasons.length < SCROLL_MAX_LOAD && last.bottom < viewBottom + reach / 2) {
+      scrollSeasons.push(scrollSeason(TimeZone.addDays(last.days[last.days.length - 1].date, 1),
+                                      () => last.bottom + SCROLL_GAP));
+      changed = true;
+    }
+
+    while (scrollSeasons.length > 1 && scrollSeasons[0].bottom < viewTop - 2 * reach) {
+      scrollSeasons.shift();
+    }
+    while (scrollSeasons.length > 1 && scrollSeasons[scrollSeasons.length - 1].top > viewBottom + 2 * reach) {
+      scrollSeasons.pop();
+    }
+
+    const mid    = (viewTop + viewBottom) / 2;
+    const inView = scrollSeasons.find(s => mid < s.bottom + SCROLL_GAP / 2)
+                || scrollSeasons[scrollSeasons.length - 1];
+    if (inView.days !== seasonCalendar) {
+      seasonCalendar = inView.days;
+      targetDate     = seasonCalendar[0].date;
+      updateHeader();
+    }
+
+    if (changed) markDirty();
+  }
+
   // ── Season load ───────────────────────────────────────────────────────────
 
   // Scale and position so the full season fits in the canvas with small margins.
@@ -148,7 +340,7 @@
     const scaleW = canvas.width  / (worldW + 0.5);  // 0.25 margin each side
     scaling = Math.min(scaleH, scaleW) * 0.93;
 
-    // Centre horizontally, accounting for the 0.25-margin ox shift in draw().
+    // Centre horizontally, accounting for the 0.25-margin ox shift in gridOrigin().
     offsetX = canvas.width  / 2 - (0.25 + worldW / 2) * scaling;
 
     // Top of season at half a cell height (0.25 world units) from the top edge.
@@ -156,35 +348,85 @@
     offsetY = (-0.25 - bounds.top) * scaling;
   }
 
+  // The label ends with the zone the days were cut in, e.g. "· Asia/Tokyo".
   function updateHeader() {
     if (seasonCalendar.length === 0) return;
     const first = seasonCalendar[0];
     const last  = seasonCalendar[seasonCalendar.length - 1];
-    if (viewSeasons > 1) {
-      const y1 = first.date.getFullYear();
-      const y2 = last.date.getFullYear();
+    const zone  = `  ·  ${TimeZone.label().replace(/_/g, ' ')}`;
+    if (rangeView) {
+      const day = (d) => {
+        const p = TimeZone.parts(d.date);
+        return `${p.day} ${_locale().months[p.month]} ${p.year}`;
+      };
+      document.getElementById('season-label').textContent = `${day(first)}\u2009–\u2009${day(last)}${zone}`;
+    } else if (viewSeasons > 1) {
+      const y1 = TimeZone.parts(first.date).year;
+      const y2 = TimeZone.parts(last.date).year;
       document.getElementById('season-label').textContent =
-        y1 === y2 ? String(y1) : `${y1}\u2009–\u2009${y2}`;
+        (y1 === y2 ? String(y1) : `${y1}\u2009–\u2009${y2}`) + zone;
     } else {
-      const season  = first.season;
-      const year    = first.date.getFullYear();
-      const yearStr = (season === 3) ? `${year}\u2009/\u2009${year + 1}` : String(year);
-      document.getElementById('season-label').textContent = `${SEASON_NAMES[season]}  ${yearStr}`;
+      const year = TimeZone.parts(first.date).year;
+      document.getElementById('season-label').textContent = seasonTitle(first.season, year) + zone;
     }
   }
 
   function loadSeason(date) {
     try {
       targetDate = date;
-      constructSeason(targetDate);
+      if (scrollView) startScroll(targetDate);
+      else constructSeason(targetDate);
       centreOnSeason();
       updateHeader();
+      refreshInspector();
       markDirty();
     } catch (err) {
       console.error('loadSeason failed:', err);
     }
   }
 
+  // ── Hit-testing ───────────────────────────────────────────────────────────
+
+  // The day drawn under a point given in client pixels, or null: the point
+  // is taken back through the view transform to world units, then tested
+  // against each slanted cell (or wheel sector) as draw() placed it.
+  function dayAt(clientX, clientY) {
+    const px = (clientX - offsetX) / scaling;
+    const py = (clientY - HEADER_HEIGHT - offsetY) / scaling;
+    const { ox, oy } = gridOrigin();
+    if (wheel) return Wheel.dayAt(wheel, ox + wheel.radius, oy + wheel.radius, px, py);
+    if (scrollView) {
+      for (const s of scrollSeasons) {
+        const day = s.days.find(d => d.hit(ox, oy + s.top, px, py));
+        if (day) return day;
+      }
+      return null;
+    }
+    return seasonCalendar.find(d => d.hit(ox, oy, px, py)) || null;
+  }
+
+  // Holding a day still for LONG_PRESS_MS opens the inspector on it instead
+  // of counting as a tap; while the inspector is open, hovering the mouse
+  // over another day moves it there.
+  const LONG_PRESS_MS = 500;
+  let pressTimer = null;
+
+  function startPress(clientX, clientY) {
+    cancelPress();
+    pressTimer = setTimeout(() => {
+      pressTimer = null;
+      const day  = dayAt(clientX, clientY);
+      if (!day) return;
+      isDragging = false;
+      showInspector(day.date);
+    }, LONG_PRESS_MS);
+  }
+
+  function cancelPress() {
+    if (pressTimer) clearTimeout(pressTimer);
+    pressTimer = null;
+  }
+
   // ── Mouse pan ─────────────────────────────────────────────────────────────
 
   let isDragging     = false;
@@ -199,13 +441,21 @@
     dragStartX     = e.clientX;
     dragStartY     = e.clientY;
     dragTotalMoved = 0;
+    startPress(e.clientX, e.clientY);
   });
 
   canvas.addEventListener('mousemove', (e) => {
-    if (!isDragging) return;
+    if (!isDragging) {
+      if (inspectedDay) {
+        const day = dayAt(e.clientX, e.clientY);
+        if (day && day.date.getTime() !== inspectedDay.getTime()) showInspector(day.date);
+      }
+      return;
+    }
     const dx = e.clientX - dragStartX;
     const dy = e.clientY - dragStartY;
     dragTotalMoved += Math.abs(dx) + Math.abs(dy);
+    if (dragTotalMoved >= 5) cancelPress();
     offsetX += dx;
     offsetY += dy;
     dragStartX = e.clientX;
@@ -214,17 +464,27 @@
   });
 
   canvas.addEventListener('mouseup', () => {
+    cancelPress();
     if (!isDragging) return;
     isDragging = false;
     if (dragTotalMoved < 5) handleTap();
   });
 
-  canvas.addEventListener('mouseleave', () => { isDragging = false; });
+  canvas.addEventListener('mouseleave', () => {
+    cancelPress();
+    isDragging = false;
+  });
 
   // ── Mouse wheel zoom ───────────────────────────────────────────────────────
 
+  // In the scroll view the wheel scrolls; pinch (ctrl + wheel) still zooms.
   canvas.addEventListener('wheel', (e) => {
     e.preventDefault();
+    if (scrollView && !e.ctrlKey) {
+      offsetY -= e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      markDirty();
+      return;
+    }
     const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
     // Zoom centred on cursor (offsetX/Y are canvas-relative; canvas left=0, top=HEADER_HEIGHT).
     const cx = e.clientX;
@@ -254,6 +514,7 @@
 
   canvas.addEventListener('touchstart', (e) => {
     e.preventDefault();
+    cancelPress();
     if (e.touches.length === 2) {
       isPinching = true;
       pinchDist = getTouchDist(e.touches);
@@ -267,6 +528,7 @@
     touchMoved     = 0;
     touchDragX     = e.touches[0].clientX;
     touchDragY     = e.touches[0].clientY;
+    startPress(touchDragX, touchDragY);
   }, { passive: false });
 
   canvas.addEventListener('touchmove', (e) => {
@@ -298,6 +560,7 @@
     const dx = e.touches[0].clientX - touchDragX;
     const dy = e.touches[0].clientY - touchDragY;
     touchMoved += Math.abs(dx) + Math.abs(dy);
+    if (touchMoved >= 5) cancelPress();
     offsetX += dx;
     offsetY += dy;
     touchDragX = e.touches[0].clientX;
@@ -307,6 +570,7 @@
 
   canvas.addEventListener('touchend', (e) => {
     e.preventDefault();
+    cancelPress();
     if (e.touches.length < 2) isPinching = false;
     if (e.touches.length === 0 && !isPinching &&
         Date.now() - touchStartTime < 200 && touchMoved < 5) {
@@ -316,7 +580,11 @@
 
   // ── Season navigation ─────────────────────────────────────────────────────
 
+  // Tap for the next season, double-tap for the previous; the scroll view
+  // has no season to step from, and a date range is fixed by its picker, so
+  // taps do nothing in either.
   function handleTap() {
+    if (scrollView || rangeView) return;
     const now      = Date.now();
     const isDouble = (now - lastClickTime) < 300;
     lastClickTime  = now;
@@ -324,13 +592,13 @@
     if (isDouble) {
       // Previous season: go 1 day before the first day of the current season.
       const first = seasonCalendar[0].date;
-      loadSeason(new Date(first.getFullYear(), first.getMonth(), first.getDate() - 1));
+      loadSeason(TimeZone.addDays(first, -1));
     } else {
       setTimeout(() => {
         if (Date.now() - lastClickTime >= 290) {
           // Next season: go 1 day after the last day of the current season.
           const last = seasonCalendar[seasonCalendar.length - 1].date;
-          loadSeason(new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1));
+          loadSeason(TimeZone.addDays(last, 1));
         }
       }, 310);
     }
@@ -346,50 +614,186 @@
   const closeBtn       = document.getElementById('close-picker');
   const splitDaysChk   = document.getElementById('split-days');
   const phaseTicksChk  = document.getElementById('phase-ticks');
+  const cellFillSelect = document.getElementById('cell-fill');
   const moonSymbolsChk = document.getElementById('moon-symbols');
+  const moonStyleSelect = document.getElementById('moon-style');
+  const southernMoonChk = document.getElementById('southern-moon');
+  const themeSelect     = document.getElementById('theme');
+  const languageSelect  = document.getElementById('language');
+  const dateLabelsSelect = document.getElementById('date-labels');
+  const dayBoundarySelect = document.getElementById('day-boundary');
+  const hemisphereSelect    = document.getElementById('hemisphere');
+  const hemisphereColorsChk = document.getElementById('hemisphere-colors');
+  const hemisphereColorsRow = document.getElementById('hemisphere-colors-row');
   const signSymbolsChk = document.getElementById('sign-symbols');
+  const moonBandChk    = document.getElementById('moon-band');
+  const daylightChk    = document.getElementById('daylight-shading');
+  const eclipsesChk    = document.getElementById('eclipses');
+  const retrogradesChk = document.getElementById('retrogrades');
+  const detailsBtn     = document.getElementById('details-btn');
   const printBtn       = document.getElementById('print-btn');
   const viewModeSelect = document.getElementById('view-mode');
+  const layoutSelect   = document.getElementById('layout');
+  const ephemerisSelect = document.getElementById('ephemeris');
+  const zodiacSelect    = document.getElementById('zodiac-mode');
+  const ayanamsaSelect  = document.getElementById('ayanamsa');
+  const ayanamsaCustom  = document.getElementById('ayanamsa-custom');
+  const ayanamsaRow     = document.getElementById('ayanamsa-row');
+  const ayanamsaCustomRow = document.getElementById('ayanamsa-custom-row');
+  const zoneSelect      = document.getElementById('time-zone');
 
   function showOverlay() { overlay.classList.remove('hidden'); }
   function hideOverlay()  { overlay.classList.add('hidden');    }
 
   function formatDateValue(date) {
-    const y = date.getFullYear();
-    const m = String(date.getMonth() + 1).padStart(2, '0');
-    const d = String(date.getDate()).padStart(2, '0');
-    return `${y}-${m}-${d}`;
+    const p = TimeZone.parts(date);
+    const m = String(p.month + 1).padStart(2, '0');
+    const d = String(p.day).padStart(2, '0');
+    return `${p.year}-${m}-${d}`;
   }
 
   function parseDateValue(str) {
     const [y, m, d] = str.split('-').map(Number);
-    return new Date(y, m - 1, d);
+    return TimeZone.fromParts(y, m - 1, d);
   }
 
   todayBtn.addEventListener('click', () => {
     const today = new Date();
     dateInput.value = formatDateValue(today);
+    if (rangeView) moveRange(today);
     loadSeason(today);
     hideOverlay();
   });
 
   goBtn.addEventListener('click', () => {
-    if (dateInput.value) loadSeason(parseDateValue(dateInput.value));
+    if (dateInput.value) {
+      if (rangeView) moveRange(parseDateValue(dateInput.value));
+      loadSeason(parseDateValue(dateInput.value));
+    }
     hideOverlay();
   });
 
+  // ── Date range ────────────────────────────────────────────────────────────
+
+  const rangeFields  = document.getElementById('range-fields');
+  const rangeFromIn  = document.getElementById('range-from');
+  const rangeToIn    = document.getElementById('range-to');
+  const lunarYearBtn = document.getElementById('lunar-year');
+
+  // Take the range from the picker, swapping the ends if they are reversed.
+  function applyRange() {
+    if (!rangeFromIn.value || !rangeToIn.value) return;
+    rangeFrom = parseDateValue(rangeFromIn.value);
+    rangeTo   = parseDateValue(rangeToIn.value);
+    if (rangeTo < rangeFrom) [rangeFrom, rangeTo] = [rangeTo, rangeFrom];
+  }
+
+  function setRange(from, to) {
+    rangeFromIn.value = formatDateValue(from);
+    rangeToIn.value   = formatDateValue(to);
+    applyRange();
+  }
+
+  // Today / Go keep the range's length and move it to start on date.
+  function moveRange(date) {
+    const days = Math.round((rangeTo - rangeFrom) / 86400000);
+    setRange(date, TimeZone.addDays(date, days));
+  }
+
+  for (const input of [rangeFromIn, rangeToIn]) {
+    input.addEventListener('change', () => {
+      applyRange();
+      if (rangeFrom) loadSeason(rangeFrom);
+    });
+  }
+
+  // A lunar year: the 13 lunations from the first new moon on or after the
+  // range's start, ending the day before the fourteenth.
+  lunarYearBtn.addEventListener('click', () => {
+    const from  = rangeFrom || targetDate;
+    const moons = Astro.findEvents(TimeZone.startOfDay(from), new Date(from.getTime() + 420 * 86400000), ['phase'])
+      .filter(e => e.index === 0);
+    setRange(moons[0].date, TimeZone.addDays(moons[13].date, -1));
+    loadSeason(rangeFrom);
+  });
+
   closeBtn.addEventListener('click', hideOverlay);
   openBtn.addEventListener('click', showOverlay);
   document.getElementById('app-title').addEventListener('click', () => window.location.reload());
 
   printBtn.addEventListener('click', printSeason);
 
+  layoutSelect.addEventListener('change', () => {
+    layout = layoutSelect.value;
+    loadSeason(targetDate);
+  });
+
+  // Month labels and red days are fixed when a day is built.
+  languageSelect.addEventListener('change', () => {
+    language = languageSelect.value;
+    loadSeason(targetDate);
+  });
+
+  // Signs and phases are read when a day is built.
+  dayBoundarySelect.addEventListener('change', () => {
+    dayBoundary = dayBoundarySelect.value;
+    loadSeason(targetDate);
+  });
+
+  // Alternate dates are looked up on first draw.
+  dateLabelsSelect.addEventListener('change', () => {
+    dateLabels = dateLabelsSelect.value;
+    markDirty();
+  });
+
   viewModeSelect.addEventListener('change', () => {
-    viewSeasons = parseInt(viewModeSelect.value, 10);
+    wheelView   = viewModeSelect.value === 'wheel';
+    scrollView  = viewModeSelect.value === 'scroll';
+    rangeView   = viewModeSelect.value === 'range';
+    viewSeasons = wheelView ? 4 : (scrollView || rangeView) ? 1 : parseInt(viewModeSelect.value, 10);
+    rangeFields.hidden = !rangeView;
+    // A first range: twelve weeks from the day in view.
+    if (rangeView && !rangeFrom) setRange(targetDate, TimeZone.addDays(targetDate, 83));
+    loadSeason(rangeView ? rangeFrom : targetDate);
+    if (!rangeView) hideOverlay();
+  });
+
+  // Changing the backend moves ingress/quarter times, so the season is rebuilt.
+  ephemerisSelect.addEventListener('change', () => {
+    Astro.backend = ephemerisSelect.value;
     loadSeason(targetDate);
-    hideOverlay();
   });
 
+  // Sidereal signs move every colour, split and glyph, so this rebuilds too.
+  function applyZodiac() {
+    const custom = ayanamsaSelect.value === 'custom';
+    Astro.zodiac   = zodiacSelect.value;
+    Astro.ayanamsa = custom ? (parseFloat(ayanamsaCustom.value) || 0) : ayanamsaSelect.value;
+    ayanamsaRow.hidden       = Astro.zodiac !== 'sidereal';
+    ayanamsaCustomRow.hidden = Astro.zodiac !== 'sidereal' || !custom;
+    loadSeason(targetDate);
+  }
+
+  // Every IANA zone the browser knows, after the "Browser" default.
+  zoneSelect.options[0].textContent = `Browser (${TimeZone.label()})`;
+  (Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [])
+    .forEach(zone => zoneSelect.add(new Option(zone.replace(/_/g, ' '), zone)));
+
+  // Day boundaries move with the zone, so the season is rebuilt; the picker
+  // date and the range fields are re-read so they name the same calendar
+  // days in the new zone.
+  zoneSelect.addEventListener('change', () => {
+    const picked = dateInput.value || formatDateValue(targetDate);
+    TimeZone.name = zoneSelect.value || null;
+    dateInput.value = picked;
+    applyRange();
+    loadSeason(rangeView ? rangeFrom : parseDateValue(picked));
+  });
+
+  zodiacSelect.addEventListener('change', applyZodiac);
+  ayanamsaSelect.addEventListener('change', applyZodiac);
+  ayanamsaCustom.addEventListener('change', applyZodiac);
+
 // splitDays and phaseTicks are declared in calendarDate.js; toggling only needs a redraw.
   splitDaysChk.addEventListener('change', () => {
     splitDays = splitDaysChk.checked;
@@ -406,11 +810,237 @@
     markDirty();
   });
 
+  cellFillSelect.addEventListener('change', () => {
+    cellFill = cellFillSelect.value;
+    markDirty();
+  });
+
+  moonStyleSelect.addEventListener('change', () => {
+    moonStyle = moonStyleSelect.value;
+    markDirty();
+  });
+
+  // The page around the canvas follows the theme through CSS variables, and
+  // the menu button and favicon swap to the icon drawn in its colours
+  // (analemma-icon/gen-analemma.js <theme>).
+  function applyTheme() {
+    const t    = _theme();
+    const root = document.documentElement.style;
+    root.setProperty('--page',       t.background);
+    root.setProperty('--header',     t.header.fill);
+    root.setProperty('--header-ink', t.header.ink);
+    const icon = theme === 'light' ? 'analemma.svg' : `analemma-${theme}.svg`;
+    openBtn.querySelector('img').src = icon;
+    document.querySelector('link[rel="icon"]').href = icon;
+  }
+
+  themeSelect.addEventListener('change', () => {
+    theme = themeSelect.value;
+    applyTheme();
+    markDirty();
+  });
+
+  southernMoonChk.addEventListener('change', () => {
+    southernMoon = southernMoonChk.checked;
+    markDirty();
+  });
+
+  // Relabels seasons and turns the moon; the cells themselves stay put, so
+  // only the header and a redraw are needed.
+  hemisphereSelect.addEventListener('change', () => {
+    hemisphere   = hemisphereSelect.value;
+    southernMoon = southernMoonChk.checked = hemisphere === 'south';
+    hemisphereColorsRow.hidden = hemisphere !== 'south';
+    updateHeader();
+    markDirty();
+  });
+
+  hemisphereColorsChk.addEventListener('change', () => {
+    hemisphereColors = hemisphereColorsChk.checked;
+    markDirty();
+  });
+
   signSymbolsChk.addEventListener('change', () => {
     showSignSymbols = signSymbolsChk.checked;
     markDirty();
   });
 
+  moonBandChk.addEventListener('change', () => {
+    moonSignBand = moonBandChk.checked;
+    markDirty();
+  });
+
+  eclipsesChk.addEventListener('change', () => {
+    showEclipses = eclipsesChk.checked;
+    markDirty();
+  });
+
+  retrogradesChk.addEventListener('change', () => {
+    showRetrogrades = retrogradesChk.checked;
+    markDirty();
+  });
+
+  document.querySelectorAll('[data-solar-marker]').forEach((chk) => {
+    chk.addEventListener('change', () => {
+      if (chk.checked) solarMarkers.add(chk.dataset.solarMarker);
+      else             solarMarkers.delete(chk.dataset.solarMarker);
+      markDirty();
+    });
+  });
+
+  // One checkbox per holiday family; the Islamic rule only matters with
+  // the Islamic feasts shown.
+  const islamicRuleRow    = document.getElementById('islamic-rule-row');
+  const islamicRuleSelect = document.getElementById('islamic-rule');
+  document.querySelectorAll('[data-holiday]').forEach((chk) => {
+    chk.addEventListener('change', () => {
+      if (chk.checked) holidayFamilies.add(chk.dataset.holiday);
+      else             holidayFamilies.delete(chk.dataset.holiday);
+      islamicRuleRow.hidden = !holidayFamilies.has('islamic');
+      markDirty();
+    });
+  });
+
+  islamicRuleSelect.addEventListener('change', () => {
+    islamicRule = islamicRuleSelect.value;
+    markDirty();
+  });
+
+  daylightChk.addEventListener('change', () => {
+    daylightShading = daylightChk.checked;
+    markDirty();
+  });
+
+  detailsBtn.addEventListener('click', () => {
+    showInspector(dateInput.value ? parseDateValue(dateInput.value) : targetDate);
+    hideOverlay();
+  });
+
+  // ── Observer location ─────────────────────────────────────────────────────
+
+  // Built-in presets; locations saved from the picker follow them.
+  const LOCATION_PRESETS = [
+    { name: 'London',      latitude:  51.5074, longitude:   -0.1278, elevation:  11 },
+    { name: 'New York',    latitude:  40.7128, longitude:  -74.0060, elevation:  10 },
+    { name: 'Los Angeles', latitude:  34.0522, longitude: -118.2437, elevation:  71 },
+    { name: 'Reykjavík',   latitude:  64.1466, longitude:  -21.9426, elevation:  15 },
+    { name: 'Delhi',       latitude:  28.6139, longitude:   77.2090, elevation: 216 },
+    { name: 'Tokyo',       latitude:  35.6762, longitude:  139.6503, elevation:  40 },
+    { name: 'Sydney',      latitude: -33.8688, longitude:  151.2093, elevation:  58 },
+  ];
+  const LOCATIONS_KEY = 'lunizodiacal.locations';
+
+  const locationSelect  = document.getElementById('location');
+  const locationFields  = document.getElementById('location-fields');
+  const obsLat          = document.getElementById('obs-lat');
+  const obsLon          = document.getElementById('obs-lon');
+  const obsElev         = document.getElementById('obs-elev');
+  const saveLocationBtn = document.getElementById('save-location');
+
+  function savedLocations() {
+    try {
+      return JSON.parse(localStorage.getItem(LOCATIONS_KEY)) || [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function allLocations() { return [...LOCATION_PRESETS, ...savedLocations()]; }
+
+  // Options after "None" and "Custom" are the presets, valued by index.
+  function fillLocationSelect() {
+    while (locationSelect.options.length > 2) locationSelect.remove(2);
+    allLocations().forEach((loc, i) => locationSelect.add(new Option(loc.name, String(i))));
+  }
+
+  // Rise/set times and shading are computed per day on demand, so a new
+  // observer only needs a redraw, not a rebuild — unless days end at sunset.
+  function applyLocation() {
+    const lat = parseFloat(obsLat.value);
+    const lon = parseFloat(obsLon.value);
+    Astro.observer = (locationSelect.value === '' || isNaN(lat) || isNaN(lon))
+      ? null
+      : { latitude:  Math.max(-90, Math.min(90, lat)),
+          longitude: lon,
+          elevation: parseFloat(obsElev.value) || 0 };
+    locationFields.hidden = locationSelect.value === '';
+    if (dayBoundary === 'sunset') {
+      loadSeason(targetDate);
+    } else {
+      refreshInspector();
+      markDirty();
+    }
+  }
+
+  locationSelect.addEventListener('change', () => {
+    const loc = allLocations()[parseInt(locationSelect.value, 10)];
+    if (loc) {
+      obsLat.value  = loc.latitude;
+      obsLon.value  = loc.longitude;
+      obsElev.value = loc.elevation;
+    }
+    applyLocation();
+  });
+
+  [obsLat, obsLon, obsElev].forEach(input => input.addEventListener('change', () => {
+    locationSelect.value = 'custom';
+    applyLocation();
+  }));
+
+  // A saved location replaces any earlier one of the same name.
+  saveLocationBtn.addEventListener('click', () => {
+    if (!Astro.observer) return;
+    const name = (window.prompt('Name for this location:') || '').trim();
+    if (!name) return;
+    const saved = savedLocations().filter(loc => loc.name !== name);
+    saved.push({ name, ...Astro.observer });
+    localStorage.setItem(LOCATIONS_KEY, JSON.stringify(saved));
+    fillLocationSelect();
+    locationSelect.value = String(allLocations().findIndex(loc => loc.name === name));
+  });
+
+  fillLocationSelect();
+
+  // ── Day inspector ─────────────────────────────────────────────────────────
+
+  const inspector      = document.getElementById('inspector');
+  const inspectorTitle = document.getElementById('inspector-title');
+  const inspectorRows  = document.getElementById('inspector-rows');
+  let inspectedDay     = null;
+
+  function showInspector(date) {
+    inspectedDay = TimeZone.startOfDay(date);
+    refreshInspector();
+    inspector.classList.remove('hidden');
+  }
+
+  function hideInspector() {
+    inspector.classList.add('hidden');
+    inspectedDay = null;
+  }
+
+  // Rows come from the built CalendarDate when the day is on screen.
+  function refreshInspector() {
+    if (!inspectedDay) return;
+    const built = scrollView ? scrollSeasons.flatMap(s => s.days) : seasonCalendar;
+    const day   = built.find(c => c.date.getTime() === inspectedDay.getTime())
+      || new CalendarDate(inspectedDay);
+    inspectorTitle.textContent = inspectedDay.toLocaleDateString(_locale().tag, {
+      timeZone: TimeZone.label(), weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+    });
+    inspectorRows.replaceChildren(...day.inspect().map(([label, value]) => {
+      const row = document.createElement('tr');
+      const th  = document.createElement('th');
+      const td  = document.createElement('td');
+      th.textContent = label;
+      td.textContent = value;
+      row.append(th, td);
+      return row;
+    }));
+  }
+
+  document.getElementById('close-inspector').addEventListener('click', hideInspector);
+
   dateInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') goBtn.click();
   });
@@ -424,8 +1054,9 @@
     // Always print exactly one season regardless of current view mode.
     const pCal    = [];
     const pBounds = { top: Infinity, left: Infinity, bottom: -Infinity, right: -Infinity };
-    const pFirst  = findFirstInSeason(targetDate);
-    let   pCur    = new CalendarDate(pFirst);
+    const pTime   = seasonTimeline(targetDate, 1);
+    const pFirst  = findFirstInSeason(targetDate, pTime);
+    let   pCur    = new CalendarDate(pFirst, pTime);
     pCur.mPlace   = { x: 0, y: 0 };
     const pSeason = pCur.season;
     for (let i = 0; i < 120; i++) {
@@ -446,18 +1077,16 @@
     const LABEL_H = 110;         // px reserved for heading
 
     pctx.setTransform(1, 0, 0, 1, 0, 0);
-    pctx.fillStyle = '#fff';
+    pctx.fillStyle = _theme().paper.fill;
     pctx.fillRect(0, 0, PW, PH);
 
     // Season heading
-    const headSeason  = pCal[0].season;
-    const headYear    = pCal[0].date.getFullYear();
-    const headYearStr = (headSeason === 3) ? `${headYear} / ${headYear + 1}` : String(headYear);
-    pctx.fillStyle    = '#000';
+    const headYear    = TimeZone.parts(pCal[0].date).year;
+    pctx.fillStyle    = _theme().paper.ink;
     pctx.font         = 'italic 54px Georgia, serif';
     pctx.textAlign    = 'center';
     pctx.textBaseline = 'middle';
-    pctx.fillText(`${SEASON_NAMES[headSeason]}  ${headYearStr}`, PW / 2, LABEL_H / 2);
+    pctx.fillText(seasonTitle(pCal[0].season, headYear, ' / '), PW / 2, LABEL_H / 2);
 
     // Fit season grid into the area below the heading.
     const wW  = pBounds.right - pBounds.left;
@@ -491,13 +1120,7 @@
   dateInput.value = formatDateValue(targetDate);
   loadSeason(targetDate);
 
-  // Redraw once EB Garamond is loaded (month labels) and moon SVGs are ready.
-  Promise.all([
-    document.fonts.ready,
-    ...MOON_IMAGES.map(img => new Promise(r => {
-      if (img.complete && img.naturalWidth) r();
-      else { img.addEventListener('load', r); img.addEventListener('error', r); }
-    })),
-  ]).then(() => markDirty());
+  // Redraw once EB Garamond is loaded (month labels).
+  document.fonts.ready.then(() => markDirty());
 
 }());
@@ -1,36 +1,90 @@
 // astro.js — Port of AstroDate.java
-// All pure astronomical math, no dependencies.
+// All pure astronomical math. Day boundaries come from zone.js (TimeZone).
 
 const RADS = Math.PI / 180.0;
 const TPI  = Math.PI * 2.0;
 const SMALL_FLOAT = 1e-12;
 
+// Ayanamsas (degrees at J2000.0) for the sidereal zodiac.
+const AYANAMSAS = {
+  'lahiri':        23.857092,   // Chitrapaksha; Indian national calendar
+  'fagan-bradley': 24.740300,   // Western sidereal astrology
+  'raman':         22.410791,   // B. V. Raman
+};
+
+// Ecliptic longitudes (degrees, J2000.0) where the IAU constellation
+// boundaries cross the ecliptic, as [start longitude, sign index] in
+// ecliptic order. Ophiuchus, which has no sign of its own, is index 12.
+const CONSTELLATION_BOUNDS = [
+  [ 28.69,  0],  // Aries
+  [ 53.42,  1],  // Taurus
+  [ 90.14,  2],  // Gemini
+  [117.99,  3],  // Cancer
+  [138.18,  4],  // Leo
+  [173.85,  5],  // Virgo
+  [217.81,  6],  // Libra
+  [241.14,  7],  // Scorpius
+  [247.70, 12],  // Ophiuchus
+  [266.30,  8],  // Sagittarius
+  [299.70,  9],  // Capricornus
+  [327.48, 10],  // Aquarius
+  [351.65, 11],  // Pisces
+];
+
+// A new or full moon within this fraction of the perigee-to-apogee range of
+// its orbit counts as a supermoon (from the perigee end) or a micromoon (from
+// the apogee end) — Nolle's "within 90% of closest approach".
+const SUPERMOON_RANGE = 0.1;
+
+// Sun–Moon elongations (degrees) of the Ptolemaic aspects: conjunction,
+// sextile, square, trine, opposition, and back again.
+const ASPECT_ANGLES = [0, 60, 90, 120, 180, 240, 270, 300];
+
 const Astro = {
 
-  // Returns the DST-adjusted UTC offset for the given date, in minutes west of
-  // UTC (positive = west). Matches Java's toUtcMinutes(), which takes the raw
-  // standard-time offset and explicitly adds getDSTSavings() when the date
-  // falls in daylight time. JS Date.getTimezoneOffset() does the same thing
-  // automatically — it returns the DST-adjusted offset for that specific date.
+  // Which model computes Sun and Moon longitudes:
+  //   'standard' — the AstroDate.java formulas below (good for ~1800–2200)
+  //   'precise'  — ephemeris.js (VSOP87 / ELP with ΔT and nutation)
+  // sign(), season(), moonPhase() and phase() follow whichever is selected.
+  backend: 'standard',
+
+  // Zodiac that sign() divides the ecliptic into:
+  //   'tropical' — 12 × 30° from the vernal equinox
+  //   'sidereal' — 12 × 30° from the equinox minus the ayanamsa
+  //   'constellations' — the 13 unequal IAU constellations on the ecliptic,
+  //                      with Ophiuchus as sign 12 between Scorpio and
+  //                      Sagittarius
+  // season() is always tropical, so season rows stay bounded by the
+  // equinoxes and solstices in either mode.
+  zodiac: 'tropical',
+
+  // Sidereal offset: a key of AYANAMSAS, or a custom number of degrees
+  // at J2000. Either way it grows with general precession (~50″ a year).
+  ayanamsa: 'lahiri',
+
+  // Returns the DST-adjusted UTC offset of the calendar's zone (TimeZone) for
+  // the given date, in minutes west of UTC (positive = west). Matches Java's
+  // toUtcMinutes(), which takes the raw standard-time offset and explicitly
+  // adds getDSTSavings() when the date falls in daylight time.
   toUtcMinutes(date) {
-    return date.getTimezoneOffset();
+    return -TimeZone.offsetMinutes(date);
   },
 
   // J2000 epoch: days since Jan 1, 2000 noon UTC
+  // (Java took local fields and added toUtcMinutes(); reading the UTC fields
+  // directly gives the same instant without depending on any zone.)
   epoch2000Date(date) {
-    const year   = date.getFullYear();
-    const month  = date.getMonth() + 1;  // 1-indexed
-    const day    = date.getDate();
-    const hour   = date.getHours();
-    const minute = date.getMinutes();
+    const year   = date.getUTCFullYear();
+    const month  = date.getUTCMonth() + 1;  // 1-indexed
+    const day    = date.getUTCDate();
+    const hour   = date.getUTCHours();
+    const minute = date.getUTCMinutes();
 
     const j_day = 367 * year -
       Math.trunc(7 * (year + Math.trunc((month + 9) / 12)) / 4) +
       Math.trunc(275 * month / 9) + day;
 
-    let j2000 = j_day - 730531.5 + hour / 24.0 + minute / (24 * 60.0);
-    j2000 += this.toUtcMinutes(date) / (24.0 * 60.0);
-    return j2000;
+    return j_day - 730531.5 + hour / 24.0 + minute / (24 * 60.0);
   },
 
   // Normalize angle to [0, 2π)
@@ -51,6 +105,7 @@ const Astro = {
 
   // Sun angle for a JS Date
   sunAngle(date) {
+    if (this.backend === 'precise') return Ephemeris.sun(date).longitude * RADS;
     return this.sun(this.epoch2000Date(date));
   },
 
@@ -59,9 +114,44 @@ const Astro = {
     return Math.trunc(this.sunAngle(date) / TPI * 4.0);
   },
 
-  // Zodiac sign: 0=Aries ... 11=Pisces
+  // Zodiac sign: 0=Aries ... 11=Pisces (12=Ophiuchus in constellation mode)
   sign(date) {
-    return Math.trunc(this.sunAngle(date) / TPI * 12.0);
+    return this.signOf(this.sunAngle(date), date);
+  },
+
+  // Zodiac sign of the Moon, same numbering.
+  moonSign(date) {
+    return this.signOf(this.moonAngle(date), date);
+  },
+
+  // Sign containing tropical longitude lon (radians) at date, in the
+  // selected zodiac. IAU boundaries are fixed to the stars, so for
+  // constellations the longitude is first taken back to J2000.
+  signOf(lon, date) {
+    if (this.zodiac === 'constellations') {
+      const l2000 = ((lon / RADS - this.precession(date)) % 360 + 360) % 360;
+      let sign = CONSTELLATION_BOUNDS[CONSTELLATION_BOUNDS.length - 1][1];
+      for (const [start, index] of CONSTELLATION_BOUNDS) {
+        if (l2000 < start) break;
+        sign = index;
+      }
+      return sign;
+    }
+    if (this.zodiac === 'sidereal') lon = this.range(lon - this.ayanamsaDegrees(date) * RADS);
+    return Math.trunc(lon / TPI * 12.0);
+  },
+
+  // Ayanamsa in degrees at date: the J2000 value carried forward by precession.
+  ayanamsaDegrees(date) {
+    const base = typeof this.ayanamsa === 'number' ? this.ayanamsa : AYANAMSAS[this.ayanamsa];
+    return base + this.precession(date);
+  },
+
+  // General precession in longitude since J2000, degrees (IAU 1976,
+  // 5028.796″ per century).
+  precession(date) {
+    const T = (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 36525;
+    return (5028.796195 * T + 1.1054348 * T * T) / 3600;
   },
 
   // Julian Day Number
@@ -123,21 +213,81 @@ const Astro = {
     return l;
   },
 
-  // Internal: returns { p, phase, percent }
-  // p = phase octant 0-7, phase = angle 0-360, percent = illumination 0-1
-  moonPhase_(dt) {
-    const year   = dt.getFullYear();
-    const month  = dt.getMonth() + 1;
-    const day    = dt.getDate();
-    const hour   = dt.getHours();
-    const minute = dt.getMinutes();
+  // Moon angle (radians) for a JS Date
+  moonAngle(date) {
+    return this.range(this.longitudes_(date).lm * RADS);
+  },
 
-    const j = this.julian(year, month,
+  // Earth–Moon distance (km, centre to centre). From ephemeris.js whichever
+  // backend is selected: the standard lunar theory has no distance terms.
+  moonDistance(date) {
+    return Ephemeris.moon(date).distance;
+  },
+
+  // Geocentric angular diameter of the Moon (degrees).
+  moonDiameter(date) {
+    return 2 * Math.asin(1737.4 / this.moonDistance(date)) / RADS;
+  },
+
+  // 0 while the Moon recedes (since perigee), 1 while it approaches (since
+  // apogee), from the distance half an hour either side.
+  apsis(date) {
+    const t = date.getTime();
+    return this.moonDistance(new Date(t + 1800000)) > this.moonDistance(new Date(t - 1800000)) ? 0 : 1;
+  },
+
+  // Where the Moon's distance at date lies between the perigee (0) and the
+  // apogee (1) either side of it. apsides are 'apsis' events spanning date;
+  // they are looked up when not given. null if the span holds too few.
+  apsisFraction(date, apsides = null) {
+    if (!apsides) {
+      apsides = this.findEvents(new Date(date.getTime() - 16 * 86400000),
+                                new Date(date.getTime() + 16 * 86400000), ['apsis']);
+    }
+    const i = apsides.findIndex(e => e.date > date);
+    if (i < 1) return null;
+    const [perigee, apogee] = apsides[i].index === 0
+      ? [apsides[i], apsides[i - 1]]
+      : [apsides[i - 1], apsides[i]];
+    const near = this.moonDistance(perigee.date);
+    const far  = this.moonDistance(apogee.date);
+    return (this.moonDistance(date) - near) / (far - near);
+  },
+
+  // 'super', 'micro' or null for a new or full moon at date.
+  supermoon(date, apsides = null) {
+    const f = this.apsisFraction(date, apsides);
+    if (f === null) return null;
+    if (f <= SUPERMOON_RANGE)     return 'super';
+    if (f >= 1 - SUPERMOON_RANGE) return 'micro';
+    return null;
+  },
+
+  // Internal: Sun and Moon ecliptic longitudes { ls, lm } in degrees,
+  // from ephemeris.js when the precise backend is selected.
+  longitudes_(dt) {
+    if (this.backend === 'precise') {
+      return { ls: Ephemeris.sun(dt).longitude, lm: Ephemeris.moon(dt).longitude };
+    }
+
+    const year   = dt.getUTCFullYear();
+    const month  = dt.getUTCMonth() + 1;
+    const day    = dt.getUTCDate();
+    const hour   = dt.getUTCHours();
+    const minute = dt.getUTCMinutes();
+
+    // UTC fields, so no toUtcMinutes() correction (see epoch2000Date).
+    const jUtc = this.julian(year, month,
       day + (hour + minute / 60.0) / 24.0 - 2444238.5);
-    const jUtc = j + this.toUtcMinutes(dt) / (60.0 * 24.0);
 
     const ls = this.sunPosition(jUtc);
-    const lm = this.moonPosition(jUtc, ls);
+    return { ls, lm: this.moonPosition(jUtc, ls) };
+  },
+
+  // Internal: returns { p, phase, percent }
+  // p = phase octant 0-7, phase = angle 0-360, percent = illumination 0-1
+  moonPhase_(dt) {
+    const { ls, lm } = this.longitudes_(dt);
     let t = lm - ls;
     if (t < 0) t += 360;
 
@@ -163,10 +313,278 @@ const Astro = {
     return Math.trunc(this.phase(date) / 90.0);
   },
 
-  // Returns a new Date at midnight + 24h (end of given day)
+  // Returns a new Date at midnight + 24h (end of given day), midnight being
+  // the one that opens day's calendar day in TimeZone.
   endOfDay(day) {
-    const d = new Date(day.getFullYear(), day.getMonth(), day.getDate());
-    return new Date(d.getTime() + 86400000);
+    return new Date(TimeZone.startOfDay(day).getTime() + 86400000);
+  },
+
+  // ── Event finder ──────────────────────────────────────────────────────────
+  //
+  // Each event kind maps an instant to an integer state; an event is the
+  // instant that state changes, and its index is the state entered:
+  //   phase    0=new moon, 1=first quarter, 2=full moon, 3=last quarter
+  //   ingress  zodiac sign entered, 0=Aries … 11=Pisces
+  //   season   0=spring (March equinox) … 3=winter (December solstice)
+  //   crossQuarter  Sun at 45° + 90°·index: 0=Beltane, 1=Lughnasadh,
+  //                 2=Samhain, 3=Imbolc
+  //   solarTerm     Sun at 15°·index, the 24 jieqi from 0=Chunfen
+  //   decan         Sun at 10°·index, 0=first decan of Aries … 35
+  //   moonIngress  sign the Moon enters, numbered like ingress
+  //   lunarAspect  Sun–Moon aspect just perfected, an index into
+  //                ASPECT_ANGLES (0=conjunction, 1=sextile … 7=sextile)
+  //   apsis        0=perigee, 1=apogee
+  // planets.js adds station:, ingress: and lunarAspect: kinds per planet.
+  // step is the scan interval in ms; it must be shorter than the briefest
+  // state so that no two changes fall inside one step. Quarters last at
+  // least ~6.5 days, signs ~29, solar terms ~14.7, decans ~9.8 and seasons
+  // and cross-quarters ~88, so these leave wide margins
+  // while keeping a year's scan to a few hundred samples. The Moon crosses
+  // even the narrowest constellation (Scorpius, 6.6°) in about half a day,
+  // and the closest aspects (30° apart) in over two days; apsides are at
+  // least ~12 days apart.
+  eventKinds: {
+    phase:        { step:  2 * 86400000, index: (d) => Astro.moonPhase(d) },
+    ingress:      { step:  5 * 86400000, index: (d) => Astro.sign(d) },
+    season:       { step: 15 * 86400000, index: (d) => Astro.season(d) },
+    crossQuarter: { step: 15 * 86400000, index: (d) => Math.trunc(Astro.range(Astro.sunAngle(d) - 45 * RADS) / (90 * RADS)) },
+    solarTerm:    { step:  5 * 86400000, index: (d) => Math.trunc(Astro.sunAngle(d) / (15 * RADS)) },
+    decan:        { step:  5 * 86400000, index: (d) => Math.trunc(Astro.sunAngle(d) / (10 * RADS)) },
+    moonIngress:  { step:      21600000, index: (d) => Astro.moonSign(d) },
+    lunarAspect:  { step:      86400000, index: (d) => Astro.lunarAspect(d) },
+    apsis:        { step:  2 * 86400000, index: (d) => Astro.apsis(d) },
+  },
+
+  // Event kinds whose events are the Moon perfecting an aspect; the last
+  // one before a lunar ingress starts a void-of-course span.
+  aspectKinds: ['lunarAspect'],
+
+  // Index into ASPECT_ANGLES of the last Sun–Moon aspect the elongation
+  // has passed.
+  lunarAspect(date) {
+    return this.aspectIndex(this.phase(date));
+  },
+
+  // Index into ASPECT_ANGLES of the last aspect an elongation (0–360°) has passed.
+  aspectIndex(elongation) {
+    let i = ASPECT_ANGLES.length - 1;
+    while (ASPECT_ANGLES[i] > elongation) i--;
+    return i;
+  },
+
+  // All events of the given kinds in [from, to), sorted by time.
+  // Returns [{ kind, index, date }] with date exact to about one second.
+  findEvents(from, to, kinds = Object.keys(this.eventKinds)) {
+    const events = [];
+    const toMs   = to.getTime();
+    for (const kind of kinds) {
+      const { step, index } = this.eventKinds[kind];
+      let t    = from.getTime();
+      let prev = index(new Date(t));
+      while (t < toMs) {
+        const t1  = Math.min(t + step, toMs);
+        const cur = index(new Date(t1));
+        if (cur !== prev) {
+          const at = this._bisectChange(index, prev, t, t1);
+          if (at < toMs) events.push({ kind, index: cur, date: new Date(at) });
+        }
+        prev = cur;
+        t    = t1;
+      }
+    }
+    return events.sort((a, b) => a.date - b.date);
+  },
+
+  // The first event of one kind at or after from, or null within limitDays.
+  // findEvents only reports changes after its first sample, so the scan
+  // starts a step early to catch an event exactly at from.
+  nextEvent(kind, from, limitDays = 400) {
+    const chunk = 32 * 86400000;
+    const endMs = from.getTime() + limitDays * 86400000;
+    for (let t = from.getTime() - this.eventKinds[kind].step; t < endMs; t += chunk) {
+      const found = this.findEvents(new Date(t), new Date(Math.min(t + chunk, endMs)), [kind])
+        .filter(e => e.date >= from);
+      if (found.length > 0) return found[0];
+    }
+    return null;
+  },
+
+  // Binary search in (lo, hi] ms for the instant index() stops returning
+  // before. Stops at one-second precision; returns the first ms of the change.
+  _bisectChange(index, before, lo, hi) {
+    while (hi - lo > 1000) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (index(new Date(mid)) === before) lo = mid;
+      else hi = mid;
+    }
+    return hi;
+  },
+
+  // ── Observer ──────────────────────────────────────────────────────────────
+  //
+  // Rise, set and twilight depend on where you stand as well as when.
+  // observer is { latitude, longitude, elevation } (degrees north, degrees
+  // east, metres) or null when no location is chosen. Replace the object
+  // rather than mutating it: CalendarDate caches its sky per observer.
+  //
+  // Horizon work always uses ephemeris.js, whichever backend is selected:
+  // the standard backend has no lunar latitude or distance, and moonrise
+  // without them is off by up to twenty minutes.
+  observer: null,
+
+  // Sun altitude (degrees) at the end of each twilight, darkest last.
+  twilights: { civil: -6, nautical: -12, astronomical: -18 },
+
+  // Apparent right ascension and declination (degrees) of 'sun' or 'moon',
+  // with its distance (AU for the Sun, km for the Moon).
+  equatorial(body, date) {
+    const T   = Ephemeris.centuries(date);
+    const pos = body === 'moon' ? Ephemeris.moon(date) : Ephemeris.sun(date);
+    const eps = Ephemeris.obliquity(T) * RADS;
+    const lon = pos.longitude * RADS;
+    const lat = pos.latitude  * RADS;
+    const ra  = Math.atan2(Math.sin(lon) * Math.cos(eps) - Math.tan(lat) * Math.sin(eps), Math.cos(lon));
+    const dec = Math.asin(Math.sin(lat) * Math.cos(eps) + Math.cos(lat) * Math.sin(eps) * Math.sin(lon));
+    return { ra: Ephemeris.norm(ra / RADS), dec: dec / RADS, distance: pos.distance };
+  },
+
+  // Apparent sidereal time at Greenwich (degrees), Meeus 12.4 plus the
+  // equation of the equinoxes.
+  siderealTime(date) {
+    const d    = Ephemeris.julianDay(date) - 2451545.0;
+    const t    = d / 36525;
+    const T    = Ephemeris.centuries(date);
+    const gmst = 280.46061837 + 360.98564736629 * d + 0.000387933 * t * t - t * t * t / 38710000;
+    return Ephemeris.norm(gmst + Ephemeris.nutation(T).dpsi * Math.cos(Ephemeris.obliquity(T) * RADS));
+  },
+
+  // Geocentric altitude (degrees) of 'sun' or 'moon' at date, seen from obs.
+  altitude(body, date, obs = this.observer) {
+    return this._altitude(this.equatorial(body, date), date.getTime(), obs);
+  },
+
+  // Altitude for a position eq = { ra, dec } at ms.
+  _altitude(eq, ms, obs) {
+    const H   = (this.siderealTime(new Date(ms)) + obs.longitude - eq.ra) * RADS;
+    const phi = obs.latitude * RADS;
+    const dec = eq.dec * RADS;
+    return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H)) / RADS;
+  },
+
+  // Geocentric altitude (degrees) of the body's centre when its upper limb
+  // touches the visible horizon: 34′ refraction, semidiameter, the Moon's
+  // parallax (Meeus ch. 15), and the dip of the horizon from elevation.
+  horizon(body, eq, obs = this.observer) {
+    const dip = 0.0293 * Math.sqrt(Math.max(0, obs.elevation || 0));
+    if (body === 'moon') {
+      const parallax = Math.asin(6378.14 / eq.distance) / RADS;
+      return 0.7275 * parallax - 0.5667 - dip;
+    }
+    return -0.8333 - dip;
+  },
+
+  // Instants in [from, to) when body's altitude crosses level (degrees, or
+  // 'horizon' for rising and setting): [{ date, rising }].
+  crossings(body, from, to, level = 'horizon', obs = this.observer) {
+    return this._crossings(this._track(body, from, to), body, from, to, level, obs);
+  },
+
+  // Positions are sampled hourly and interpolated (good to a few seconds),
+  // and each crossing is bisected to ten seconds. Two crossings inside one
+  // hour — a graze near the polar circles — are missed.
+  _crossings(track, body, from, to, level, obs) {
+    const f = (ms) => {
+      const eq = track(ms);
+      return this._altitude(eq, ms, obs) - (level === 'horizon' ? this.horizon(body, eq, obs) : level);
+    };
+    const out  = [];
+    const toMs = to.getTime();
+    let t    = from.getTime();
+    let prev = f(t);
+    while (t < toMs) {
+      const t1  = Math.min(t + 3600000, toMs);
+      const cur = f(t1);
+      if ((prev < 0) !== (cur < 0)) {
+        let lo = t, hi = t1;
+        while (hi - lo > 10000) {
+          const mid = (lo + hi) / 2;
+          if ((f(mid) < 0) === (prev < 0)) lo = mid;
+          else hi = mid;
+        }
+        if (hi < toMs) out.push({ date: new Date(Math.round(hi)), rising: prev < 0 });
+      }
+      prev = cur;
+      t    = t1;
+    }
+    return out;
+  },
+
+  // Hourly equatorial positions over [from, to], as a function of ms that
+  // interpolates linearly between them.
+  _track(body, from, to) {
+    const t0   = from.getTime();
+    const n    = Math.max(1, Math.ceil((to.getTime() - t0) / 3600000));
+    const grid = [];
+    for (let i = 0; i <= n; i++) grid.push(this.equatorial(body, new Date(t0 + i * 3600000)));
+    return (ms) => {
+      const x = Math.min(n, Math.max(0, (ms - t0) / 3600000));
+      const i = Math.min(n - 1, Math.floor(x));
+      const f = x - i;
+      const a = grid[i], b = grid[i + 1];
+      const dra = (b.ra - a.ra + 540) % 360 - 180;
+      return {
+        ra:       a.ra + f * dra,
+        dec:      a.dec + f * (b.dec - a.dec),
+        distance: a.distance + f * (b.distance - a.distance),
+      };
+    };
+  },
+
+  // Everything horizon-related in [from, to) — normally one local day:
+  //   sunrise, sunset, moonrise, moonset   first of each, or null
+  //   dawn, dusk    { civil, nautical, astronomical }, each a Date or null
+  //   dayLength     ms with the Sun above the horizon (polar day = whole span)
+  //   darkness      [{ date, level }] from `from` on: 0 = Sun up, 1 = civil
+  //                 twilight, 2 = nautical, 3 = astronomical, 4 = night
+  sky(from, to, obs = this.observer) {
+    const sun    = this._track('sun', from, to);
+    const moon   = this._track('moon', from, to);
+    const first  = (list, rising) => (list.find(c => c.rising === rising) || { date: null }).date;
+    const levels = ['horizon', this.twilights.civil, this.twilights.nautical, this.twilights.astronomical];
+
+    const sunX  = levels.map(level => this._crossings(sun, 'sun', from, to, level, obs));
+    const moonX = this._crossings(moon, 'moon', from, to, 'horizon', obs);
+
+    const eq0 = sun(from.getTime());
+    const h0  = this._altitude(eq0, from.getTime(), obs);
+    let dark  = levels.filter(l => h0 < (l === 'horizon' ? this.horizon('sun', eq0, obs) : l)).length;
+    const darkness = [{ date: from, level: dark }];
+    for (const c of sunX.flat().sort((a, b) => a.date - b.date)) {
+      dark += c.rising ? -1 : 1;
+      darkness.push({ date: c.date, level: dark });
+    }
+
+    let dayLength = 0;
+    darkness.forEach((d, i) => {
+      if (d.level > 0) return;
+      const end = i + 1 < darkness.length ? darkness[i + 1].date : to;
+      dayLength += end - d.date;
+    });
+
+    const names = ['civil', 'nautical', 'astronomical'];
+    const dawn = {}, dusk = {};
+    names.forEach((name, i) => {
+      dawn[name] = first(sunX[i + 1], true);
+      dusk[name] = first(sunX[i + 1], false);
+    });
+
+    return {
+      sunrise:  first(sunX[0], true),
+      sunset:   first(sunX[0], false),
+      moonrise: first(moonX, true),
+      moonset:  first(moonX, false),
+      dawn, dusk, dayLength, darkness,
+    };
   },
 
 };
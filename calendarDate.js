@@ -1,5 +1,8 @@
 // calendarDate.js — Port of CalendarDate.java
-// Rendering via Canvas 2D API. Depends on astro.js (Astro object).
+// Rendering via Canvas 2D API. Depends on astro.js (Astro object),
+// timeline.js (Timeline class), zone.js (TimeZone), eclipse.js (Eclipse),
+// planets.js (Planets), calendars.js (Calendars), holidays.js (Holidays),
+// themes.js (THEMES) and locale.js (localeFor).
 //
 // ── How a day is constructed ─────────────────────────────────────────────────
 //
@@ -9,20 +12,30 @@
 // 1. ASTRONOMICAL VALUES
 //    All sky observations are computed at "end of day" — exactly 86400 s
 //    (24 × 60 × 60 × 1000 ms) after the DST-adjusted local midnight that
-//    opens the calendar day. The timezone offset is DST-adjusted (matching
-//    Java's toUtcMinutes, which adds getDSTSavings() when applicable).
+//    opens the calendar day. "Local" means TimeZone — the zone picked in the
+//    settings, or the browser's own — and its offset is DST-adjusted
+//    (matching Java's toUtcMinutes, which adds getDSTSavings() when applicable).
 //    This means the displayed values reflect what is true for the majority
 //    of the calendar day, rather than snapping at the stroke of midnight.
+//    That is the default dayBoundary; the others (see Configuration) move
+//    the sample, and for sunset the span [_from, _to) the day covers.
 //
 //    mSignStart      (0–11)  Zodiac sign of the Sun at the START of the day
-//                            (today's local midnight). Used as the left-half
+//                            (today's local midnight, or the previous
+//                            sunset under 'sunset'). Used as the left-half
 //                            color when a sign transition splits the cell.
+//    mSignEnd        (0–11)  Likewise at the END of the day: the right-half
+//                            color, and the sign entered on a split day.
 //
-//    mTropicalPhase  (0–11)  Zodiac sign of the Sun at the END of the day.
-//                            Determines the cell color (or right-half color
-//                            when split). 0 = Aries (≈ Mar 21).
+//    mTropicalPhase  (0–11)  Zodiac sign of the Sun at the sample (the END of
+//                            the day by default). Determines the cell color
+//                            when not split. 0 = Aries (≈ Mar 21). Despite the
+//                            name (kept from the Java port) this follows
+//                            Astro.zodiac, so it is the sidereal sign in
+//                            sidereal mode (Aries ≈ Apr 14), and can be
+//                            12 = Ophiuchus in constellation mode.
 //
-//    mLunarPhase     (0–3)   Lunar phase quarter at end of day.
+//    mLunarPhase     (0–3)   Lunar phase quarter at the sample.
 //                              0 = new moon
 //                              1 = first quarter (waxing)
 //                              2 = full moon
@@ -30,37 +43,73 @@
 //                            Controls grid layout: same quarter → step right;
 //                            new quarter → drop to next row.
 //
-//    mSeason         (0–3)   Astronomical season at end of day
+//    mSeason         (0–3)   Astronomical season at the sample
 //                            (0=spring, 1=summer, 2=autumn, 3=winter).
 //                            Used to bound the season grid.
 //
+//    When the constructor is given a Timeline covering the day, all of these
+//    (and the fractions below) are looked up from its precomputed events
+//    instead of being recomputed; without one, Astro is asked directly.
+//
 // 2. SIGN-TRANSITION SPLIT  (see also: splitDays flag below)
 //    mSplitFraction  If the Sun crosses a zodiac sign boundary during the day,
 //                    this holds the fraction (0–1) of the day at which that
-//                    crossing occurs, found by binary search to ~1-second
-//                    precision. null when no crossing occurs.
+//                    crossing occurs, taken from the ingress event (exact to
+//                    ~1 second). null when no crossing occurs.
 //                    When splitDays is enabled and mSplitFraction is set,
 //                    render() draws two sub-parallelograms: the left one in
-//                    mSignStart's color and the right in mTropicalPhase's.
-//                    Season changes (equinoxes/solstices) are automatically
-//                    covered because they always coincide with sign changes.
+//                    mSignStart's color and the right in mSignEnd's.
+//                    In the tropical zodiac, season changes (equinoxes/
+//                    solstices) are automatically covered because they
+//                    coincide with sign changes; sidereal signs change
+//                    mid-season instead.
 //
 // 3. DISPLAY LABEL
 //    mDate    String shown inside the cell.
-//               - Day 1 of a month → abbreviated month name ("Jan", "Feb" …)
+//               - Day 1 of a month → the locale's month abbreviation
+//                 ("Jan", "févr", "Μαρ" …)
 //               - All other days  → day-of-month number ("2" … "31")
 //    mBold    true on the 1st; label renders in bold.
-//    mIsSunday  true when the day is a Sunday; label renders in red.
+//    mIsRedDay  true on the locale's red days (Sunday unless the browser's
+//               region rests on another day); label renders in red.
+//    With dateLabels set to another calendar, render() puts that calendar's
+//    date in the middle instead and mDate small in the top-right corner.
 //
 // 4. NEW-MOON-WEEK MARKER
 //    mNewMoonWeek  true when this day falls in the 7-day window containing a
 //                  new moon. Renders as a thick line across the top of the cell.
+//                  The window stops at a season boundary, or in a date-range
+//                  view (spanStart) at the first day of the range.
+//
+// 5. ECLIPSE
+//    mEclipse  The eclipse at a new or full moon falling during this day
+//              (see Eclipse.at: kind, type, date of greatest eclipse, gamma,
+//              magnitude), or null. Greatest eclipse can fall a little
+//              either side of the syzygy, occasionally on the next or
+//              previous day; the cell with the syzygy carries it.
+//
+// 6. SUPERMOON / MICROMOON
+//    mSyzygy     The new (index 0) or full (index 2) moon falling during this
+//                day, or null. Its day always has a moon symbol: beside the
+//                cell at a row's start or end, else inside the cell's left
+//                edge.
+//    mMoonApsis  'super' or 'micro' when mSyzygy is within 10% of its
+//                orbit's perigee or apogee distance (Astro.supermoon), else
+//                null. That day's moon symbol is drawn larger or smaller.
 //
 // GRID PLACEMENT  (set by next(), not the constructor)
 //    mPlace   { x, y } in world-space "pinch" units. The first day of a season
-//             starts at { 0, 0 }. next() places each successor:
-//               - Same mLunarPhase → x += 0.5        (step right, same row)
-//               - New mLunarPhase  → x -= 19/6, y += 0.5  (new row, left)
+//             starts at { 0, 0 }. next() places each successor by the
+//             LAYOUTS entry named by `layout`:
+//               - Same row  → x += 0.5                     (step right)
+//               - Row break → x += 0.5 − rowDays / 2, y += 0.5  (new row, left)
+//             With the default quarter rows (rowDays 22/3) a break is
+//             x −= 19/6: rows change with mLunarPhase, and x keeps roughly
+//             in step with the phase from row to row.
+//    mIsRowStart / mIsRowEnd   First and last day of a row; the moon
+//             symbols are drawn beside them.
+//    mIsPhaseStart  The lunar quarter changes during this day, at
+//             mPhaseFraction; marked by the phase tick, inside a row or not.
 //
 // ── Configuration ────────────────────────────────────────────────────────────
 //
@@ -70,26 +119,204 @@
 //    of the sign crossing. Toggle at runtime via the settings overlay; no
 //    season rebuild is needed — only a redraw.
 //
+// layout  (key of LAYOUTS, default 'quarters')
+//    How days break into rows: 'quarters' (a row per lunar quarter),
+//    'lunations' (a row per synodic month, with phase ticks at the quarters
+//    inside it) or 'octants' (a row per 45° of phase). Placement happens in
+//    next(), so changing it rebuilds the season.
+//
+// cellFill  ('sign' | 'illumination', default 'sign')
+//    'illumination' keeps the sign colors but shades each cell across the
+//    day by how much of the Moon is lit (Astro.percent, sampled five times a
+//    day): dark at new moon, clear at full, so the waxing and waning curve
+//    runs along each row. The shade lines run parallel to the slanted edges.
+//
+// moonSignBand  (boolean, default false)
+//    When true, a thin band along the bottom edge of each cell is colored by
+//    the Moon's sign and split at every lunar ingress during the day. Spans
+//    when the Moon is void of course — past its last Ptolemaic aspect to the
+//    Sun or a planet (Mercury–Saturn) and not yet in the next sign — are
+//    hatched. The band's events are
+//    looked up on first draw, so switching it on only costs a redraw (plus
+//    one scan of the season's lunar events).
+//
+// daylightShading  (boolean, default false)
+//    When true and Astro.observer is set, each cell is darkened across the
+//    part of the day the Sun is down, one step darker per twilight stage
+//    (civil, nautical, astronomical, night), split at the exact times.
+//
+// moonStyle  ('color' | 'mono', default 'color')
+// southernMoon  (boolean, default false)
+//    The moon symbols are drawn as vectors (_drawMoon) at the day's exact
+//    Sun–Moon elongation, in pale gold on slate or in black and white, lit
+//    on the side seen from the northern hemisphere or, with southernMoon,
+//    from the southern. Nothing is loaded, so the screen, print and any
+//    export draw them identically from the first frame.
+//
+// hemisphere  ('north' | 'south', default 'north')
+// hemisphereColors  (boolean, default false)
+//    mSeason always counts from the March equinox, but in the south that
+//    starts autumn, so app.js names seasons through hemisphere. The picker's
+//    hemisphere setting also sets southernMoon. With hemisphereColors, the
+//    southern palette turns by six signs so the spring greens fall on Libra
+//    to Sagittarius and the winter blues on Aries to Gemini (_signColor).
+//
+// solarMarkers  (Set of keys of SOLAR_MARKERS, default empty)
+//    Extra solar-longitude boundaries, drawn as triangles rising from the
+//    bottom edge at the exact fraction of the day the Sun crosses them, in
+//    the manner of the phase ticks: cross-quarter days (45° + 90°·n, solid),
+//    the 24 solar terms (every 15°, open) and the 36 decans (every 10°, a
+//    short stroke). Where sets coincide only the first in that order is
+//    drawn. All are tropical, like the seasons. The inspector names each
+//    one; they are looked up on first draw, so a change is only a redraw.
+//
+// holidayFamilies  (Set of keys of Holidays.families, default empty)
+// islamicRule  ('crescent' | 'newMoon', default 'crescent')
+//    Feasts of the chosen families get a small badge low in their cell, in
+//    the family's colour, labelled with the feast's short name, and a row in
+//    the inspector. islamicRule picks when an Islamic month begins: the day
+//    after the first evening the crescent can be seen, or the day after the
+//    conjunction. Dates come from Holidays, a year at a time, so a change is
+//    only a redraw.
+//
+// language  (key of LOCALES or 'auto', default 'auto')
+//    Month, season, sign and phase names and the red-day and week rule, from
+//    the browser's languages or a fixed locale (locale.js). Month labels and
+//    red days are set at construction, so a change rebuilds the season.
+//
+// dateLabels  (key of Calendars.names, default 'gregorian')
+//    The calendar whose dates label the cells: the arithmetical Hebrew, the
+//    tabular Islamic or the Chinese one (calendars.js). Its month starts get
+//    the small-cap month name and its other days the day number; the
+//    Gregorian label moves, smaller, to the top-right corner, and the
+//    inspector gives the full date. Looked up on first draw, so a change is
+//    only a redraw.
+//
+// dayBoundary  (key of DAY_BOUNDARIES, default 'end')
+//    When a day's sign, phase and season are read: at the end of the local
+//    day ('end', as described above), at the midnight that opens it
+//    ('start') or at local noon ('noon'), all over the midnight-to-midnight
+//    span; or at sunset ('sunset'), the day then running from the previous
+//    evening's sunset at Astro.observer to this evening's. Without an
+//    observer, or where the Sun does not set, sunset is taken at 18:00.
+//    The split, the phase ticks and everything else placed across a cell
+//    follow the span, and row breaks follow the sampled phase, so a change
+//    rebuilds the season (as does a new observer under 'sunset').
+//
+// theme  (key of THEMES, default 'light')
+//    Sign palette, outline, label and red-day colours for every cell. The
+//    page background, the season dividers and the print-out follow the same
+//    theme in app.js. A change is only a redraw.
+//
+// showRetrogrades  (boolean, default false)
+//    When true, a thin lane per planet (Mercury at the bottom, Saturn at the
+//    top) runs above the bottom edge, or above the moon sign band, and is
+//    filled in the planet's color while it is retrograde. Stations are
+//    marked with the planet's symbol and ℞ (retrograde) or D (direct), and
+//    sign ingresses with the planet's symbol and the new sign, at the time
+//    of the event. Like the moon band, the events are looked up on first draw.
+//
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Runtime toggle — read by render(), can be changed without rebuilding season.
 let splitDays     = true;
 let phaseTicks    = true;
 let showMoonSymbols = true;
+let cellFill        = 'sign';    // 'sign' | 'illumination'
+let layout          = 'quarters';  // key of LAYOUTS; read by next(), so a change needs a rebuild
 let showSignSymbols = true;
+let moonSignBand    = false;
+let daylightShading = false;
+let showEclipses    = true;
+let showRetrogrades = false;
+let moonStyle       = 'color';   // 'color' | 'mono' (see MOON_STYLES)
+let southernMoon    = false;     // mirror the moon as seen from the south
+let hemisphere       = 'north';  // 'north' | 'south': season names (app.js)
+let hemisphereColors = false;    // southern: turn the palette with the seasons
+let theme            = 'light';  // key of THEMES
+let language         = 'auto';   // key of LOCALES or 'auto'; a change needs a rebuild
+let dateLabels       = 'gregorian';  // key of Calendars.names
+let dayBoundary      = 'end';    // key of DAY_BOUNDARIES; a change needs a rebuild
+let solarMarkers     = new Set(); // keys of SOLAR_MARKERS to tick
+let holidayFamilies  = new Set(); // keys of Holidays.families to badge
+let islamicRule      = 'crescent';  // 'crescent' | 'newMoon': start of an Islamic month
+
+// Row layouts for next(). breaks(prev, day) says whether day starts a new
+// row; rowDays is the typical row length, which sets how far a new row steps
+// back so that x stays in step with the Moon's phase.
+const LAYOUTS = {
+  // One row per lunar quarter (the original layout).
+  quarters:  { rowDays: 22 / 3, breaks: (prev, day) => prev.lunarPhase !== day.lunarPhase },
+  // One row per synodic month, new moon to new moon.
+  lunations: { rowDays: 88 / 3, breaks: (prev, day) => day.lunarPhase === 0 && prev.lunarPhase !== 0 },
+  // One row per 45° of phase.
+  octants:   { rowDays: 11 / 3, breaks: (prev, day) => Math.floor(prev._moonAngle() / 45) !== Math.floor(day._moonAngle() / 45) },
+};
+
+// Day-boundary conventions for dayBoundary: span(day) gives, for the local
+// midnight opening a calendar day, the { from, to } its cell covers and the
+// sample instant its sign, phase and season are read at.
+const DAY_BOUNDARIES = {
+  end:    { label: 'End of day',   span: (day) => _civilSpan(day, Astro.endOfDay(day)) },
+  start:  { label: 'Start of day', span: (day) => _civilSpan(day, day) },
+  noon:   { label: 'Local noon',   span: (day) => _civilSpan(day, _localTime(day, 12)) },
+  sunset: { label: 'Sunset',       span: (day) => {
+    const to = _sunset(day);
+    return { from: _sunset(TimeZone.addDays(day, -1)), to, sample: to };
+  } },
+};
+
+function _civilSpan(day, sample) {
+  return { from: day, to: Astro.endOfDay(day), sample };
+}
+
+// The instant the zone's clock reads hour:00 on day's date.
+function _localTime(day, hour) {
+  const p = TimeZone.parts(day);
+  return TimeZone.fromParts(p.year, p.month, p.day, hour);
+}
+
+// Sunset on day at Astro.observer, or 18:00 without an observer or a
+// sunset. Each is shared by two neighbouring days, so they are cached; the
+// cache starts over when the observer object is replaced or the backend
+// changes.
+const _sunsets = { observer: null, backend: null, byDay: new Map() };
+function _sunset(day) {
+  const obs = Astro.observer;
+  if (!obs) return _localTime(day, 18);
+  if (_sunsets.observer !== obs || _sunsets.backend !== Astro.backend) {
+    _sunsets.observer = obs;
+    _sunsets.backend  = Astro.backend;
+    _sunsets.byDay.clear();
+  }
+  const key = day.getTime();
+  if (!_sunsets.byDay.has(key)) {
+    const set = Astro.crossings('sun', day, Astro.endOfDay(day)).find(c => !c.rising);
+    _sunsets.byDay.set(key, set ? set.date : _localTime(day, 18));
+  }
+  return _sunsets.byDay.get(key);
+}
 
-// ── Noto moon phase images (loaded once, drawn via drawImage) ─────────────────
-// Index 0–7 matches MOON_SYMBOL order: new, wax-crescent, 1st-qtr, wax-gibbous,
-// full, wan-gibbous, last-qtr, wan-crescent.
-const MOON_IMAGES = [];
-(function () {
-  const codes = ['1f311','1f312','1f313','1f314','1f315','1f316','1f317','1f318'];
-  codes.forEach((code, i) => {
-    const img = new Image();
-    img.src = `emoji/moon_${code}.svg`;
-    MOON_IMAGES[i] = img;
-  });
-}());
+// The span and sample of the calendar day holding date, under dayBoundary.
+function _daySpan(date) {
+  return DAY_BOUNDARIES[dayBoundary].span(TimeZone.startOfDay(date));
+}
+
+// Moon symbol scale on supermoon / micromoon cells (exaggerated: the real
+// difference in apparent size is about 14%).
+const MOON_APSIS_SCALE = { super: 1.35, micro: 0.7 };
+
+// Band height as a fraction of the cell height.
+const MOON_BAND_HEIGHT = 0.14;
+
+// Height of each planet's retrograde lane, as a fraction of the cell height.
+const PLANET_LANE_HEIGHT = 0.035;
+
+// Moon symbol fills per moonStyle: lit side, dark side, outline.
+const MOON_STYLES = {
+  color: { lit: '#FFF1B8', dark: '#4A4E5C', rim: '#2A2A33' },
+  mono:  { lit: 'white',   dark: 'black',   rim: 'black'   },
+};
 
 // ── Glyph path rendering helpers ──────────────────────────────────────────────
 // Paths from glyphs.js use 1000 font units per em; baseline at y=1000.
@@ -121,22 +348,44 @@ function _drawDigits(ctx, numStr, isBold, cx, cy, emSize) {
 
 // Draw a bold small-cap month abbreviation (e.g. "jan") centred at (cx, cy).
 // Uses true small-cap glyphs from EB Garamond Bold — guaranteed pixel-identical across browsers.
-function _drawMonth(ctx, abbr, cx, cy, emSize) {
-  const scale   = emSize / _GLYPH_UPM;
-  const letters = abbr.toLowerCase().split('');
-  const totalW  = letters.reduce((w, l) => w + (Glyphs.smallCaps[l]?.advanceWidth ?? 0) * emSize, 0);
+// A letter extract-glyphs.js didn't cover (a locale added without rerunning
+// it) falls back to a bold capital in the canvas font, at small-cap height.
+// A space is a quarter em. Labels wider than maxWidth are set smaller to fit.
+function _drawMonth(ctx, abbr, cx, cy, emSize, maxWidth = Infinity) {
+  const letters = [...abbr.toLowerCase()];
+  ctx.save();
+  ctx.font = `bold ${emSize * 0.72}px Georgia, serif`;
+  const widthAt = (l, em) => l === ' ' ? em / 4
+    : Glyphs.smallCaps[l] ? Glyphs.smallCaps[l].advanceWidth * em
+    : ctx.measureText(l.toUpperCase()).width * em / emSize;
+  const natural = letters.reduce((w, l) => w + widthAt(l, emSize), 0);
+  if (natural > maxWidth) {
+    emSize *= maxWidth / natural;
+    ctx.font = `bold ${emSize * 0.72}px Georgia, serif`;
+  }
+  const width  = (l) => widthAt(l, emSize);
+  const scale  = emSize / _GLYPH_UPM;
+  const totalW = letters.reduce((w, l) => w + width(l), 0);
   let x = cx - totalW / 2;
   const y = cy - _EB_SC_VCENTER * emSize;
   for (const l of letters) {
     const g = Glyphs.smallCaps[l];
-    if (!g) { x += 0.2 * emSize; continue; }
-    ctx.save();
-    ctx.translate(x, y);
-    ctx.scale(scale, scale);
-    ctx.fill(new Path2D(g.d));
-    ctx.restore();
-    x += g.advanceWidth * emSize;
+    if (l === ' ') {
+      // Nothing to draw.
+    } else if (!g) {
+      ctx.textBaseline = 'alphabetic';
+      ctx.textAlign    = 'left';
+      ctx.fillText(l.toUpperCase(), x, y + emSize);
+    } else {
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.scale(scale, scale);
+      ctx.fill(new Path2D(g.d));
+      ctx.restore();
+    }
+    x += width(l);
   }
+  ctx.restore();
 }
 
 // Draw a zodiac sign (0–11) centred at (cx, cy).
@@ -152,35 +401,78 @@ function _drawZodiacPath(ctx, sign, cx, cy, emSize) {
   ctx.restore();
 }
 
-// Draw a moon phase SVG image centred at (cx, cy), size in world units.
-function _drawMoon(ctx, octant, cx, cy, size) {
-  const img = MOON_IMAGES[octant];
-  if (!img || !img.complete || !img.naturalWidth) return;
-  ctx.drawImage(img, cx - size / 2, cy - size / 2, size, size);
+// Draw a planet symbol (Glyphs.planets key) or another single glyph centred at
+// (cx, cy); vcenter as for the constants above.
+function _drawSymbol(ctx, g, cx, cy, emSize, vcenter) {
+  const scale = emSize / _GLYPH_UPM;
+  ctx.save();
+  ctx.translate(cx - g.advanceWidth * emSize / 2, cy - vcenter * emSize);
+  ctx.scale(scale, scale);
+  ctx.fill(new Path2D(g.d));
+  ctx.restore();
+}
+
+// Draw the Moon at elongation angle (degrees, as Astro.phase(): 0 = new,
+// 180 = full) centred at (cx, cy), size = diameter in world units.
+// The lit limb is a half circle; the terminator is a half ellipse whose
+// horizontal semi-axis is r·|cos angle|, bulging towards the lit limb while
+// a crescent and away from it while gibbous. Waxing moons are lit on the
+// right as seen from the north; southern mirrors that.
+function _drawMoon(ctx, angle, cx, cy, size, style = MOON_STYLES[moonStyle], southern = southernMoon) {
+  const r   = size / 2;
+  const a   = ((angle % 360) + 360) % 360 * RADS;
+  const cos = Math.cos(a);
+
+  ctx.save();
+  ctx.translate(cx, cy);
+  if ((a > Math.PI) !== southern) ctx.scale(-1, 1);   // lit side on the left
+
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, 2 * Math.PI);
+  ctx.fillStyle = style.dark;
+  ctx.fill();
+
+  ctx.beginPath();
+  ctx.arc(0, 0, r, -Math.PI / 2, Math.PI / 2);
+  ctx.ellipse(0, 0, r * Math.abs(cos), r, 0, Math.PI / 2, -Math.PI / 2, cos > 0);
+  ctx.closePath();
+  ctx.fillStyle = style.lit;
+  ctx.fill();
+
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, 2 * Math.PI);
+  ctx.strokeStyle = style.rim;
+  ctx.lineWidth = size / 24;
+  ctx.stroke();
+  ctx.restore();
+}
+
+// The selected colour theme.
+function _theme() {
+  return THEMES[theme];
+}
+
+// The selected locale, resolved once per setting.
+let _localeCache = null;
+function _locale() {
+  if (!_localeCache || _localeCache.setting !== language) {
+    _localeCache = { setting: language, locale: localeFor(language) };
+  }
+  return _localeCache.locale;
+}
+
+// Fill color for a sign, turned half a circle for the southern seasons when
+// hemisphereColors is on (Ophiuchus keeps its own).
+function _signColor(sign) {
+  const turn = hemisphere === 'south' && hemisphereColors && sign < 12;
+  return _theme().signs[turn ? (sign + 6) % 12 : sign];
 }
 
-const SIGN_COLOR = [
-  '#99FFCC',  // 0  Aries
-  '#99FF99',  // 1  Taurus
-  '#CCFF99',  // 2  Gemini
-  '#FFFF99',  // 3  Cancer
-  '#FFCC99',  // 4  Leo
-  '#FF9999',  // 5  Virgo
-  '#FF99CC',  // 6  Libra
-  '#FF99FF',  // 7  Scorpio
-  '#CCCCFF',  // 8  Sagittarius
-  '#99CCFF',  // 9  Capricorn
-  '#66CCFF',  // 10 Aquarius
-  '#66FFFF',  // 11 Pisces
-];
-
-const MONTH_NAMES = ['Jan','Feb','Mar','Apr','May','Jun',
-                     'Jul','Aug','Sep','Oct','Nov','Dec'];
-
-// Zodiac sign symbols, indexed by mTropicalPhase (0–11).
+// Zodiac sign symbols, indexed by mTropicalPhase (0–12).
 // \uFE0E (text variation selector) forces monochrome text rendering on phones.
 const SIGN_SYMBOL = ['♈\uFE0E','♉\uFE0E','♊\uFE0E','♋\uFE0E','♌\uFE0E','♍\uFE0E',
-                     '♎\uFE0E','♏\uFE0E','♐\uFE0E','♑\uFE0E','♒\uFE0E','♓\uFE0E'];
+                     '♎\uFE0E','♏\uFE0E','♐\uFE0E','♑\uFE0E','♒\uFE0E','♓\uFE0E',
+                     '⛎\uFE0E'];
 
 // Moon phase symbols, indexed by octant 0–7 (Astro.moonPhase_().p).
 // Note: mLunarPhase is quarter (0–3); use Astro.moonPhase_() for the full 8-value index.
@@ -194,23 +486,36 @@ const moonPhasesEmoji = ['🌑','🌒','🌓','🌔','🌕','🌖','🌗','🌘'
 
 // Zodiac Signs - Text (monochrome Unicode, \uFE0E forces text presentation)
 const zodiacText  = ['♈\uFE0E','♉\uFE0E','♊\uFE0E','♋\uFE0E','♌\uFE0E','♍\uFE0E',
-                     '♎\uFE0E','♏\uFE0E','♐\uFE0E','♑\uFE0E','♒\uFE0E','♓\uFE0E'];
+                     '♎\uFE0E','♏\uFE0E','♐\uFE0E','♑\uFE0E','♒\uFE0E','♓\uFE0E',
+                     '⛎\uFE0E'];
 
 // Zodiac Signs - Emoji (color)
-const zodiacEmoji = ['♈️','♉️','♊️','♋️','♌️','♍️','♎️','♏️','♐️','♑️','♒️','♓️'];
-
-// Zodiac Sign Names
-const zodiacNames = [
-  'Aries', 'Taurus', 'Gemini', 'Cancer',
-  'Leo', 'Virgo', 'Libra', 'Scorpio',
-  'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces',
-];
+const zodiacEmoji = ['♈️','♉️','♊️','♋️','♌️','♍️','♎️','♏️','♐️','♑️','♒️','♓️','⛎'];
 
-// Moon Phase Names
-const moonPhaseNames = [
-  'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
-  'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent',
-];
+// Solar-longitude boundary sets, by Astro event kind, in drawing precedence.
+const SOLAR_MARKERS = {
+  crossQuarter: {
+    label: 'Cross-quarter',
+    name:  (i) => ['Beltane', 'Lughnasadh', 'Samhain', 'Imbolc'][i],
+  },
+  solarTerm: {
+    label: 'Solar term',
+    name:  (i) => [
+      'Chunfen (Spring Equinox)', 'Qingming (Pure Brightness)', 'Guyu (Grain Rain)',
+      'Lixia (Start of Summer)', 'Xiaoman (Grain Buds)', 'Mangzhong (Grain in Ear)',
+      'Xiazhi (Summer Solstice)', 'Xiaoshu (Minor Heat)', 'Dashu (Major Heat)',
+      'Liqiu (Start of Autumn)', 'Chushu (End of Heat)', 'Bailu (White Dew)',
+      'Qiufen (Autumn Equinox)', 'Hanlu (Cold Dew)', "Shuangjiang (Frost's Descent)",
+      'Lidong (Start of Winter)', 'Xiaoxue (Minor Snow)', 'Daxue (Major Snow)',
+      'Dongzhi (Winter Solstice)', 'Xiaohan (Minor Cold)', 'Dahan (Major Cold)',
+      'Lichun (Start of Spring)', 'Yushui (Rain Water)', 'Jingzhe (Awakening of Insects)',
+    ][i],
+  },
+  decan: {
+    label: 'Decan',
+    name:  (i) => `${['First', 'Second', 'Third'][i % 3]} decan of ${_locale().signs[Math.floor(i / 3)]}`,
+  },
+};
 
 // Full parallelogram path at (x, y).
 // Width 0.5, height 0.5, left edge slants 1/6 leftward per row.
@@ -223,81 +528,615 @@ function pgram(ctx, x, y) {
   ctx.closePath();
 }
 
+// Sub-parallelogram of the cell at (x, y): t0–t1 across (0 = left edge,
+// 1 = right edge, measured along the slant) and v0–v1 down (0 = top, 1 = bottom).
+function _cellRegion(ctx, x, y, t0, t1, v0, v1) {
+  ctx.beginPath();
+  ctx.moveTo(x + 0.5 * t0 - v0 / 6, y + 0.5 * v0);
+  ctx.lineTo(x + 0.5 * t1 - v0 / 6, y + 0.5 * v0);
+  ctx.lineTo(x + 0.5 * t1 - v1 / 6, y + 0.5 * v1);
+  ctx.lineTo(x + 0.5 * t0 - v1 / 6, y + 0.5 * v1);
+  ctx.closePath();
+}
+
+// Where the point (px, py) falls in the cell at (x, y), as { t, v } in the
+// terms of _cellRegion, or null when it is outside the cell.
+function _cellPoint(x, y, px, py) {
+  const v = 2 * (py - y);
+  const t = 2 * (px - x) + v / 3;
+  return t >= 0 && t < 1 && v >= 0 && v < 1 ? { t, v } : null;
+}
+
+// Eclipse marker centred at (cx, cy), radius r in world units.
+// Solar: black disc — ringed in gold when annular (both for hybrid), with a
+// pale corona when total, bitten from an orange Sun when partial. Lunar: a
+// dark red disc when total, grey with a red bite when partial, pale grey
+// with a darker rim when penumbral.
+function _drawEclipse(ctx, eclipse, cx, cy, r) {
+  const disc = (x, y, radius, fill) => {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, TPI);
+    ctx.fillStyle = fill;
+    ctx.fill();
+  };
+  const ring = (radius, stroke, width) => {
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, TPI);
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  };
+
+  ctx.save();
+  if (eclipse.kind === 'solar') {
+    switch (eclipse.type) {
+      case 'total':
+        ring(r * 1.25, 'rgba(255, 255, 255, 0.9)', r * 0.4);
+        disc(cx, cy, r, 'black');
+        break;
+      case 'annular':
+        disc(cx, cy, r, '#FFB300');
+        disc(cx, cy, r * 0.75, 'black');
+        break;
+      case 'hybrid':
+        ring(r * 1.25, 'rgba(255, 255, 255, 0.9)', r * 0.4);
+        disc(cx, cy, r, '#FFB300');
+        disc(cx, cy, r * 0.8, 'black');
+        break;
+      default:
+        disc(cx, cy, r, '#FF8C00');
+        disc(cx + r * 0.7, cy - r * 0.5, r, 'black');
+    }
+  } else {
+    switch (eclipse.type) {
+      case 'total':
+        disc(cx, cy, r, '#8B1A1A');
+        break;
+      case 'partial':
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, TPI);
+        ctx.clip();
+        disc(cx, cy, r, '#AAAAAA');
+        disc(cx - r * 0.8, cy, r, '#8B1A1A');
+        break;
+      default:
+        disc(cx, cy, r, '#DDDDDD');
+        ring(r, '#777777', r * 0.3);
+    }
+  }
+  ctx.restore();
+}
+
+// Local clock time "HH:MM" (in TimeZone) for the inspector.
+function _formatTime(date) {
+  const p = TimeZone.parts(date);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
 class CalendarDate {
-  constructor(date) {
+  // spanStart is the first day of a date-range view (see _newMoonWeek), or
+  // null in the season views; next() hands both it and timeline on.
+  constructor(date, timeline = null, spanStart = null) {
     // Normalise to local midnight.
-    this._today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    this._today     = TimeZone.startOfDay(date);
+    this._timeline  = timeline;
+    this._spanStart = spanStart;
 
-    const tomorrow = Astro.endOfDay(this._today);
+    const span     = _daySpan(this._today);
+    this._from     = span.from;
+    this._to       = span.to;
+    this._sample   = span.sample;
 
-    // End-of-day astronomical values (drive color, layout, season boundary).
-    this.mTropicalPhase = Astro.sign(tomorrow);
-    this.mLunarPhase    = Astro.moonPhase(tomorrow);
-    this.mSeason        = Astro.season(tomorrow);
+    // Sampled astronomical values (drive color, layout, season boundary).
+    this.mTropicalPhase = this._stateAt('ingress', this._sample);
+    this.mLunarPhase    = this._stateAt('phase',   this._sample);
+    this.mSeason        = this._stateAt('season',  this._sample);
 
-    // Start-of-day sign — used as the left color when a split occurs.
-    this.mSignStart = Astro.sign(this._today);
+    // Signs at either end of the day — the two colors when a split occurs.
+    this.mSignStart = this._stateAt('ingress', this._from);
+    this.mSignEnd   = this._stateAt('ingress', this._to);
 
     // If the sign changes during the day, find exactly when (fraction 0–1).
-    this.mSplitFraction = (this.mSignStart !== this.mTropicalPhase)
+    this.mSplitFraction = (this.mSignStart !== this.mSignEnd)
       ? this._findSplitFraction()
       : null;
 
     // Display label.
-    const dom = this._today.getDate();
+    const local = TimeZone.parts(this._today);
+    const dom   = local.day;
     if (dom === 1) {
-      this.mDate = MONTH_NAMES[this._today.getMonth()];
+      this.mDate = _locale().months[local.month];
       this.mBold = true;
     } else {
       this.mDate = String(dom);
       this.mBold = false;
     }
 
-    this.mIsSunday    = this._today.getDay() === 0;
+    this.mIsRedDay    = _locale().redDays.includes(local.weekday);
     this.mNewMoonWeek = this._newMoonWeek();
+    this.mSyzygy      = this._syzygy();
+    this.mEclipse     = this.mSyzygy ? this._findEclipse(this.mSyzygy) : null;
+    this.mMoonApsis   = this.mSyzygy ? Astro.supermoon(this.mSyzygy.date, this._apsidesAround(this.mSyzygy.date)) : null;
 
     // Placed by next() or constructSeason.
     this.mPlace = { x: 0, y: 0 };
-    // Set by next() when this day starts or ends a lunar phase.
+    // Set by next() when this day starts or ends a row, or starts a lunar phase.
+    this.mIsRowStart    = false;
+    this.mIsRowEnd      = false;
     this.mIsPhaseStart  = false;
-    this.mIsPhaseEnd    = false;
     this.mPhaseFraction = null;
   }
 
-  // Binary search: find the fraction (0–1) of the day when the lunar phase changes.
-  // 20 iterations → precision of 86400 / 2^20 ≈ 0.08 s.
+  // State of an event kind ('phase', 'ingress', 'season') at an instant:
+  // from the timeline when it spans that instant, else straight from Astro.
+  _stateAt(kind, date) {
+    return this._timeline && this._timeline.covers(date, date)
+      ? this._timeline.stateAt(kind, date)
+      : Astro.eventKinds[kind].index(date);
+  }
+
+  // Events of one kind in [from, to), likewise.
+  _eventsIn(kind, from, to) {
+    return this._timeline && this._timeline.covers(from, to)
+      ? this._timeline.between(kind, from, to)
+      : Astro.findEvents(from, to, [kind]);
+  }
+
+  // Fraction of the day's span at an instant.
+  _frac(date) {
+    return (date - this._from) / (this._to - this._from);
+  }
+
+  // The instant at a fraction of the day's span.
+  _at(t) {
+    return new Date(this._from.getTime() + t * (this._to - this._from));
+  }
+
+  // Fraction (0–1) of the day at which the first event of kind occurs.
+  _eventFraction(kind) {
+    const events = this._eventsIn(kind, this._from, this._to);
+    if (events.length === 0) return null;
+    return this._frac(events[0].date);
+  }
+
+  // Fraction (0–1) of the day when the lunar phase changes.
   _findPhaseFraction() {
-    const startMs  = this._today.getTime();
-    const oldPhase = (this.mLunarPhase + 3) % 4;
-    let lo = 0, hi = 1;
-    for (let i = 0; i < 20; i++) {
-      const mid = (lo + hi) / 2;
-      if (Astro.moonPhase(new Date(startMs + mid * 86400000)) === oldPhase) {
-        lo = mid;
-      } else {
-        hi = mid;
+    return this._eventFraction('phase');
+  }
+
+  // Fraction (0–1) of the day when the sign changes.
+  _findSplitFraction() {
+    return this._eventFraction('ingress');
+  }
+
+  // The new (phase 0) or full (phase 2) moon event during the day, or null.
+  _syzygy() {
+    return this._eventsIn('phase', this._from, this._to)
+      .find(e => e.index === 0 || e.index === 2) || null;
+  }
+
+  // Eclipse at that syzygy, or null.
+  _findEclipse(syzygy) {
+    const eclipse = Eclipse.at(syzygy.date, syzygy.index === 0 ? 'solar' : 'lunar');
+    return eclipse.type !== 'none' ? eclipse : null;
+  }
+
+  // Perigee/apogee events within half an anomalistic month of date.
+  _apsidesAround(date) {
+    return this._eventsIn('apsis', new Date(date.getTime() - 16 * 86400000),
+                                   new Date(date.getTime() + 16 * 86400000));
+  }
+
+  // Moon-sign band contents in day fractions, computed on first use:
+  //   segments  [{ t0, t1, sign }] — the Moon's sign, split at each ingress
+  //   voids     [[t0, t1]]         — void-of-course spans overlapping today
+  // A void runs from the last aspect before an ingress (or from the previous
+  // ingress, if the Moon made no aspect in that sign) to the ingress itself.
+  _moonBand() {
+    if (this._moonBandCache) return this._moonBandCache;
+
+    const start = this._from;
+    const end   = this._to;
+    const frac  = (d) => Math.min(1, Math.max(0, this._frac(d)));
+
+    const segments = [];
+    let t0   = 0;
+    let sign = this._stateAt('moonIngress', start);
+    for (const e of this._eventsIn('moonIngress', start, end)) {
+      segments.push({ t0, t1: frac(e.date), sign });
+      t0   = frac(e.date);
+      sign = e.index;
+    }
+    segments.push({ t0, t1: 1, sign });
+
+    // The Moon spends at most ~4 days in one sign (Virgo, in constellation
+    // mode), so five days either side always reaches the ingresses around today.
+    const from      = new Date(start.getTime() - 5 * 86400000);
+    const to        = new Date(end.getTime()   + 5 * 86400000);
+    const ingresses = this._eventsIn('moonIngress', from, to);
+    const aspects   = Astro.aspectKinds.flatMap(kind => this._eventsIn(kind, from, to));
+    const voids     = [];
+    for (let i = 1; i < ingresses.length; i++) {
+      const ingress = ingresses[i].date;
+      if (ingress <= start) continue;
+      let voidFrom = ingresses[i - 1].date;
+      for (const a of aspects) {
+        if (a.date > voidFrom && a.date < ingress) voidFrom = a.date;
       }
+      if (voidFrom < end) voids.push([frac(voidFrom), frac(ingress)]);
+      if (ingress >= end) break;
     }
-    return (lo + hi) / 2;
+
+    this._moonBandCache = { segments, voids };
+    return this._moonBandCache;
   }
 
-  // Binary search: find the fraction (0–1) of the day when the sign changes.
-  // 20 iterations → precision of 86400 / 2^20 ≈ 0.08 s.
-  _findSplitFraction() {
-    const startMs = this._today.getTime();
-    let lo = 0, hi = 1;
-    for (let i = 0; i < 20; i++) {
-      const mid = (lo + hi) / 2;
-      if (Astro.sign(new Date(startMs + mid * 86400000)) === this.mSignStart) {
-        lo = mid;
-      } else {
-        hi = mid;
+  // Planet overlay contents in day fractions, computed on first use: for each
+  // name in Planets.names,
+  //   retro   [[t0, t1]]          — spans of the day the planet is retrograde
+  //   events  [{ t, kind, index }] — stations (index 1 = retrograde) and
+  //                                  ingresses (index = sign entered)
+  _planets() {
+    if (this._planetCache) return this._planetCache;
+
+    const start = this._from;
+    const end   = this._to;
+    const frac  = (d) => this._frac(d);
+
+    this._planetCache = {};
+    for (const name of Planets.names) {
+      const stations = this._eventsIn('station:' + name, start, end);
+      const retro    = [];
+      let t0 = this._stateAt('station:' + name, start) ? 0 : null;
+      for (const e of stations) {
+        if (e.index === 1) t0 = frac(e.date);
+        else if (t0 !== null) { retro.push([t0, frac(e.date)]); t0 = null; }
+      }
+      if (t0 !== null) retro.push([t0, 1]);
+
+      const events = [
+        ...stations.map(e => ({ t: frac(e.date), kind: 'station', index: e.index })),
+        ...this._eventsIn('ingress:' + name, start, end)
+          .map(e => ({ t: frac(e.date), kind: 'ingress', index: e.index })),
+      ];
+      this._planetCache[name] = { retro, events };
+    }
+    return this._planetCache;
+  }
+
+  // Selected solar-longitude boundaries crossed during the day, as
+  // [{ kind, index, t, date }] (t = fraction of the day), in SOLAR_MARKERS
+  // order.
+  _solarMarkers() {
+    const start = this._from;
+    const end   = this._to;
+    const found = [];
+    for (const kind of Object.keys(SOLAR_MARKERS)) {
+      if (!solarMarkers.has(kind)) continue;
+      for (const e of this._eventsIn(kind, start, end)) {
+        found.push({ kind, index: e.index, t: this._frac(e.date), date: e.date });
+      }
+    }
+    return found;
+  }
+
+  // Feasts of the selected families on this calendar day.
+  _holidays() {
+    if (holidayFamilies.size === 0) return [];
+    return Holidays.on(TimeZone.parts(this._today), holidayFamilies, islamicRule);
+  }
+
+  // The date in the dateLabels calendar (see Calendars.dateOf), or null for
+  // the Gregorian one. Computed on first use and again if dateLabels changes.
+  _altDate() {
+    if (dateLabels === 'gregorian') return null;
+    if (this._altDateFor !== dateLabels) {
+      this._altDateCache = Calendars.dateOf(dateLabels, TimeZone.parts(this._today));
+      this._altDateFor   = dateLabels;
+    }
+    return this._altDateCache;
+  }
+
+  // Moon's illuminated fraction at t = 0, ¼, ½, ¾ and 1 of the day.
+  _illumination() {
+    if (!this._illuminationCache) {
+      this._illuminationCache = [0, 0.25, 0.5, 0.75, 1].map(t =>
+        Astro.percent(this._at(t)));
+    }
+    return this._illuminationCache;
+  }
+
+  // Sun–Moon elongation (degrees) at the sample, for the moon symbols.
+  _moonAngle() {
+    if (this._moonAngleCache === undefined) {
+      this._moonAngleCache = Astro.phase(this._sample);
+    }
+    return this._moonAngleCache;
+  }
+
+  // Rise, set and twilight for this day at Astro.observer (see Astro.sky),
+  // or null without one. Computed on first use and again if the observer
+  // object is replaced.
+  sky() {
+    if (!Astro.observer) return null;
+    if (this._skyFor !== Astro.observer) {
+      this._sky    = Astro.sky(this._today, Astro.endOfDay(this._today));
+      this._skyFor = Astro.observer;
+    }
+    return this._sky;
+  }
+
+  // sky() over the day's span instead, for shading across the cell.
+  _spanSky() {
+    if (dayBoundary !== 'sunset') return this.sky();
+    if (this._spanSkyFor !== Astro.observer) {
+      this._spanSkyCache = Astro.sky(this._from, this._to);
+      this._spanSkyFor   = Astro.observer;
+    }
+    return this._spanSkyCache;
+  }
+
+  // [label, value] rows describing this day, for the day inspector.
+  inspect() {
+    const at   = this._sample;
+    const time = (d) => d ? _formatTime(d) : '—';
+    const loc  = _locale();
+    const sign = this.mSplitFraction === null
+      ? loc.signs[this.mTropicalPhase]
+      : `${loc.signs[this.mSignStart]} → ${loc.signs[this.mSignEnd]}, ${time(this._at(this.mSplitFraction))}`;
+
+    const rows = [
+      ['Week',       String(weekOfYear(TimeZone.parts(this._today), loc))],
+      ['Day boundary', dayBoundary !== 'sunset' ? DAY_BOUNDARIES[dayBoundary].label
+        : Astro.observer ? `Sunset, ${time(this._from)} to ${time(this._to)}`
+        : 'Sunset, taken as 18:00 (no location set)'],
+      ['Sun sign',   sign],
+      ['Sun longitude', `${(Astro.sunAngle(at) / RADS).toFixed(2)}° tropical`],
+      ['Moon sign',  loc.signs[Astro.moonSign(at)]],
+      ['Moon phase', loc.phases[Astro.moonPhase_(at).p]],
+      ['Phase angle',  `${Astro.phase(at).toFixed(1)}°`],
+      ['Illumination', `${(Astro.percent(at) * 100).toFixed(1)}%`],
+    ];
+
+    // The quarter entered today (the first day of a season has no
+    // mPhaseFraction from next()), and the next one after the sample.
+    const quarterAt = this.mIsPhaseStart ? this.mPhaseFraction : this._findPhaseFraction();
+    if (quarterAt !== null) {
+      rows.push(['Quarter begins',
+        `${loc.phases[2 * this._stateAt('phase', this._to)]}, ${time(this._at(quarterAt))}`]);
+    }
+    // Quarters last up to about 8.2 days, so nine always reach the next.
+    const next = this._eventsIn('phase', at, new Date(at.getTime() + 9 * 86400000))[0];
+    if (next) {
+      const day = next.date.toLocaleDateString(loc.tag, { timeZone: TimeZone.label(), month: 'short', day: 'numeric' });
+      rows.push(['Next quarter', `in ${((next.date - at) / 86400000).toFixed(1)} days: ` +
+        `${loc.phases[2 * next.index]}, ${day} ${time(next.date)}`]);
+    }
+
+    const alt = this._altDate();
+    if (alt) {
+      rows.push([Calendars.names[dateLabels], dateLabels === 'chinese'
+        ? `Day ${alt.day} of ${alt.name}`
+        : `${alt.day} ${alt.name} ${alt.year}`]);
+    }
+
+    const holidays = this._holidays();
+    if (holidays.length > 0) rows.push(['Holiday', holidays.map(h => h.name).join(', ')]);
+
+    for (const m of this._solarMarkers()) {
+      const set = SOLAR_MARKERS[m.kind];
+      rows.push([set.label, `${set.name(m.index)}, ${_formatTime(m.date)}`]);
+    }
+
+    if (this.mEclipse) {
+      const e    = this.mEclipse;
+      const type = e.type === 'hybrid' ? 'Hybrid' : e.type[0].toUpperCase() + e.type.slice(1);
+      const mag  = e.magnitude === null ? '' : `, magnitude ${e.magnitude.toFixed(3)}`;
+      rows.push(['Eclipse', `${type} ${e.kind}, greatest ${_formatTime(e.date)}${mag}`]);
+    }
+
+    for (const name of Planets.names) {
+      const label = name[0].toUpperCase() + name.slice(1);
+      const lon   = Planets.longitude(name, at) / RADS;
+      const parts = [`${loc.signs[Planets.sign(name, at)]} (${lon.toFixed(1)}°)`];
+      if (Planets.retrograde(name, at)) parts.push('retrograde');
+      for (const e of this._planets()[name].events) {
+        const when = _formatTime(this._at(e.t));
+        parts.push(e.kind === 'station'
+          ? `stations ${e.index ? 'retrograde' : 'direct'} ${when}`
+          : `enters ${loc.signs[e.index]} ${when}`);
+      }
+      rows.push([label, parts.join(', ')]);
+    }
+
+    const km  = (date) => `${Math.round(Astro.moonDistance(date)).toLocaleString()} km`;
+    const arc = (date) => `${(Astro.moonDiameter(date) * 60).toFixed(1)}′`;
+    rows.push(['Moon distance', `${km(at)}, ${arc(at)} across`]);
+    if (this.mMoonApsis) {
+      const syzygy = this._syzygy();
+      rows.push([this.mMoonApsis === 'super' ? 'Supermoon' : 'Micromoon',
+                 `${_formatTime(syzygy.date)}, ${km(syzygy.date)}, ${arc(syzygy.date)} across`]);
+    }
+    for (const e of this._eventsIn('apsis', this._from, this._to)) {
+      rows.push([e.index === 0 ? 'Perigee' : 'Apogee', `${_formatTime(e.date)}, ${km(e.date)}`]);
+    }
+
+    const sky = this.sky();
+    if (!sky) {
+      rows.push(['Location', 'not set']);
+      return rows;
+    }
+    const hours = Math.floor(sky.dayLength / 3600000);
+    const mins  = Math.round(sky.dayLength % 3600000 / 60000);
+    rows.push(
+      ['Sunrise',    time(sky.sunrise)],
+      ['Sunset',     time(sky.sunset)],
+      ['Day length', `${hours}h ${String(mins).padStart(2, '0')}m`],
+      ['Civil twilight',        `${time(sky.dawn.civil)} – ${time(sky.dusk.civil)}`],
+      ['Nautical twilight',     `${time(sky.dawn.nautical)} – ${time(sky.dusk.nautical)}`],
+      ['Astronomical twilight', `${time(sky.dawn.astronomical)} – ${time(sky.dusk.astronomical)}`],
+      ['Moonrise',   time(sky.moonrise)],
+      ['Moonset',    time(sky.moonset)],
+    );
+    return rows;
+  }
+
+  // Shade the cell by the dark fraction of the Moon. The gradient runs from
+  // the left edge to the right along their common normal, (3, 1)/√10.
+  _renderIllumination(ctx, x, y) {
+    const samples  = this._illumination();
+    const gradient = ctx.createLinearGradient(x, y, x + 0.45, y + 0.15);
+    samples.forEach((k, i) => {
+      gradient.addColorStop(i / (samples.length - 1), `rgba(0, 0, 40, ${0.5 * (1 - k)})`);
+    });
+    pgram(ctx, x, y);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+  }
+
+  // Darken the night part of the cell, one step per twilight stage.
+  _renderDaylight(ctx, x, y) {
+    const { darkness } = this._spanSky();
+    const frac = (d) => Math.min(1, Math.max(0, this._frac(d)));
+    darkness.forEach((d, i) => {
+      if (d.level === 0) return;
+      const t1 = i + 1 < darkness.length ? frac(darkness[i + 1].date) : 1;
+      _cellRegion(ctx, x, y, frac(d.date), t1, 0, 1);
+      ctx.fillStyle = `rgba(0, 0, 51, ${0.08 * d.level})`;
+      ctx.fill();
+    });
+  }
+
+  // Bottom-edge band: Moon sign colors, void-of-course hatching, and a hairline
+  // separating it from the day's own color.
+  _renderMoonBand(ctx, x, y) {
+    const { segments, voids } = this._moonBand();
+    const v0 = 1 - MOON_BAND_HEIGHT;
+    const h  = 0.5 * MOON_BAND_HEIGHT;
+
+    for (const seg of segments) {
+      _cellRegion(ctx, x, y, seg.t0, seg.t1, v0, 1);
+      ctx.fillStyle = _signColor(seg.sign);
+      ctx.fill();
+    }
+
+    for (const [t0, t1] of voids) {
+      ctx.save();
+      _cellRegion(ctx, x, y, t0, t1, v0, 1);
+      ctx.clip();
+      ctx.beginPath();
+      for (let hx = x - 1/6 - h; hx < x + 0.5; hx += 1/48) {
+        ctx.moveTo(hx,     y + 0.5);
+        ctx.lineTo(hx + h, y + 0.5 - h);
+      }
+      ctx.strokeStyle = _theme().hatch;
+      ctx.lineWidth = 1 / 192;
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(x       - v0 / 6, y + 0.5 - h);
+    ctx.lineTo(x + 0.5 - v0 / 6, y + 0.5 - h);
+    ctx.strokeStyle = _theme().outline;
+    ctx.lineWidth = 1 / 192;
+    ctx.stroke();
+  }
+
+  // Retrograde lanes above the bottom edge (or the moon band), with station
+  // and ingress glyphs standing on top of them.
+  _renderPlanets(ctx, x, y) {
+    const planets = this._planets();
+    const base    = moonSignBand ? 1 - MOON_BAND_HEIGHT : 1;
+    const em      = 0.06;
+    const top     = base - Planets.names.length * PLANET_LANE_HEIGHT;
+
+    Planets.names.forEach((name, i) => {
+      const v1 = base - i * PLANET_LANE_HEIGHT;
+      for (const [t0, t1] of planets[name].retro) {
+        _cellRegion(ctx, x, y, t0, t1, v1 - PLANET_LANE_HEIGHT, v1);
+        ctx.fillStyle = Planets.colors[name];
+        ctx.fill();
+      }
+    });
+
+    // Glyph pairs sit just above the lanes, clamped inside the cell.
+    const gv = top - 0.08;
+    for (const name of Planets.names) {
+      for (const e of planets[name].events) {
+        const t  = Math.min(0.85, Math.max(0.15, e.t));
+        const cx = x + 0.5 * t - gv / 6;
+        const cy = y + 0.5 * gv;
+        ctx.fillStyle = Planets.colors[name];
+        _drawSymbol(ctx, Glyphs.planets[name], cx - em * 0.35, cy, em, _NOTO_VCENTER);
+        ctx.fillStyle = _theme().label;
+        if (e.kind === 'ingress')  _drawZodiacPath(ctx, e.index, cx + em * 0.4, cy, em);
+        else if (e.index === 1)    _drawSymbol(ctx, Glyphs.rx, cx + em * 0.4, cy, em, _EB_VCENTER);
+        else                       _drawMonth(ctx, 'd', cx + em * 0.4, cy, em * 1.2);
+      }
+    }
+  }
+
+  // Cross-quarter days as solid triangles, solar terms as open ones and
+  // decans as short strokes parallel to the cell's slanted sides.
+  _renderSolarMarkers(ctx, x, y) {
+    const base = 1 / 18;
+    const h    = 2 / 18;
+    ctx.save();
+    ctx.fillStyle   = _theme().outline;
+    ctx.strokeStyle = _theme().outline;
+    ctx.lineWidth   = 1 / 96;
+    const drawn = [];
+    for (const m of this._solarMarkers()) {
+      // Coinciding boundaries are found a second or so apart.
+      if (drawn.some(t => Math.abs(t - m.t) < 1e-4)) continue;
+      drawn.push(m.t);
+      const cx = x + 0.5 * m.t - 1 / 6;
+      const cy = y + 0.5;
+      ctx.beginPath();
+      if (m.kind === 'decan') {
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + h / 3, cy - h);
+        ctx.stroke();
+        continue;
       }
+      ctx.moveTo(cx - base / 2, cy);
+      ctx.lineTo(cx + base / 2, cy);
+      ctx.lineTo(cx + h / 3,    cy - h);
+      ctx.closePath();
+      if (m.kind === 'crossQuarter') ctx.fill();
+      else                           ctx.stroke();
     }
-    return (lo + hi) / 2;
+    ctx.restore();
+  }
+
+  // Holiday badges: rounded pills under the date label, stacked upward
+  // when a day has more than one.
+  _renderHolidays(ctx, x, y) {
+    const em = 0.065;
+    const h  = 0.085;
+    ctx.save();
+    ctx.font         = `${em}px Georgia, serif`;
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'middle';
+    this._holidays().forEach((holiday, i) => {
+      const v  = 0.74 - i * 0.2;
+      const cx = x + 0.25 - v / 6;
+      const cy = y + 0.5 * v;
+      const w  = Math.min(0.44, ctx.measureText(holiday.short).width + 0.04);
+      ctx.beginPath();
+      ctx.roundRect(cx - w / 2, cy - h / 2, w, h, h / 2);
+      ctx.fillStyle = Holidays.families[holiday.family].color;
+      ctx.fill();
+      ctx.fillStyle = 'white';
+      ctx.fillText(holiday.short, cx, cy, w - 0.02);
+    });
+    ctx.restore();
   }
 
   get date()        { return this._today; }
+  get dayStart()    { return this._from; }
+  get dayEnd()      { return this._to; }
   get leftPoint()   { return this.mPlace.x - (1/6); }
   get rightPoint()  { return this.mPlace.x + 0.5; }
   get topPoint()    { return this.mPlace.y; }
@@ -305,27 +1144,42 @@ class CalendarDate {
   get season()      { return this.mSeason; }
   get lunarPhase()  { return this.mLunarPhase; }
 
+  // Where a world point falls in this cell drawn at (ox, oy), as { t, v }
+  // (see _cellRegion), or null when it is outside.
+  hit(ox, oy, px, py) {
+    return _cellPoint(ox + this.mPlace.x, oy + this.mPlace.y, px, py);
+  }
+
   next() {
-    const next = new CalendarDate(new Date(this._today.getFullYear(), this._today.getMonth(), this._today.getDate() + 1));
-    if (this.lunarPhase === next.lunarPhase) {
-      next.mPlace = { x: this.mPlace.x + 0.5,   y: this.mPlace.y };
+    const next = new CalendarDate(TimeZone.addDays(this._today, 1), this._timeline, this._spanStart);
+    // The tick goes where the quarter changes, which under a start-of-day
+    // or noon sample is the day before the row breaks.
+    next.mPhaseFraction = next._findPhaseFraction();
+    next.mIsPhaseStart  = next.mPhaseFraction !== null;
+    const rows = LAYOUTS[layout];
+    if (!rows.breaks(this, next)) {
+      next.mPlace = { x: this.mPlace.x + 0.5, y: this.mPlace.y };
     } else {
-      this.mIsPhaseEnd    = true;
-      next.mIsPhaseStart  = true;
-      next.mPhaseFraction = next._findPhaseFraction();
-      next.mPlace = { x: this.mPlace.x - 19/6,  y: this.mPlace.y + 0.5 };
+      this.mIsRowEnd   = true;
+      next.mIsRowStart = true;
+      next.mPlace = { x: this.mPlace.x + 0.5 - rows.rowDays / 2, y: this.mPlace.y + 0.5 };
     }
     return next;
   }
 
+  // True when a new moon fell between six days ago and the end of today,
+  // without a season boundary in between. A date range runs on across
+  // seasons in one grid, so there the week is only cut short at its start.
   _newMoonWeek() {
-    const sixDaysAgo = new Date(this._today.getTime() - 6 * 86400000);
-    if (this.mSeason === Astro.season(sixDaysAgo)) {
-      if (this.mLunarPhase === 0 && Astro.moonPhase(sixDaysAgo) === 3) {
-        return true;
-      }
+    if (this.mLunarPhase !== 0) return false;
+    let from = new Date(this._from.getTime() - 6 * 86400000);
+    if (this._spanStart) {
+      if (from < this._spanStart) from = this._spanStart;
+    } else if (this.mSeason !== this._stateAt('season', from)) {
+      return false;
     }
-    return false;
+    return this._eventsIn('phase', from, this._to)
+      .some(e => e.index === 0);
   }
 
   render(ctx, ox, oy) {
@@ -350,7 +1204,7 @@ class CalendarDate {
       ctx.lineTo(bx,      y + 0.5);
       ctx.lineTo(x-(1/6), y + 0.5);
       ctx.closePath();
-      ctx.fillStyle = SIGN_COLOR[this.mSignStart];
+      ctx.fillStyle = _signColor(this.mSignStart);
       ctx.fill();
 
       // Right piece — sign after the transition.
@@ -360,17 +1214,29 @@ class CalendarDate {
       ctx.lineTo(x+0.5-(1/6),  y + 0.5);
       ctx.lineTo(bx,           y + 0.5);
       ctx.closePath();
-      ctx.fillStyle = SIGN_COLOR[this.mTropicalPhase];
+      ctx.fillStyle = _signColor(this.mSignEnd);
       ctx.fill();
     } else {
       pgram(ctx, x, y);
-      ctx.fillStyle = SIGN_COLOR[this.mTropicalPhase];
+      ctx.fillStyle = _signColor(this.mTropicalPhase);
       ctx.fill();
     }
 
+    // ── Moon illumination shading ────────────────────────────────────────────
+    if (cellFill === 'illumination') this._renderIllumination(ctx, x, y);
+
+    // ── Daylight shading ─────────────────────────────────────────────────────
+    if (daylightShading && Astro.observer) this._renderDaylight(ctx, x, y);
+
+    // ── Moon sign band (bottom edge) ─────────────────────────────────────────
+    if (moonSignBand) this._renderMoonBand(ctx, x, y);
+
+    // ── Retrograde lanes, stations and planet ingresses ──────────────────────
+    if (showRetrogrades) this._renderPlanets(ctx, x, y);
+
     // ── Outline (always the full parallelogram) ──────────────────────────────
     pgram(ctx, x, y);
-    ctx.strokeStyle = 'black';
+    ctx.strokeStyle = _theme().outline;
     ctx.lineWidth = 1 / 96;
     ctx.stroke();
 
@@ -379,7 +1245,7 @@ class CalendarDate {
       ctx.beginPath();
       ctx.moveTo(x,       y);
       ctx.lineTo(x + 0.5, y);
-      ctx.strokeStyle = 'black';
+      ctx.strokeStyle = _theme().outline;
       ctx.lineWidth = 1 / 18;
       ctx.stroke();
     }
@@ -394,18 +1260,35 @@ class CalendarDate {
       ctx.lineTo(cx + base / 2, y);
       ctx.lineTo(cx,            y + h);
       ctx.closePath();
-      ctx.fillStyle = 'black';
+      ctx.fillStyle = _theme().outline;
       ctx.fill();
     }
 
+    // ── Solar-longitude ticks (bottom edge, pointing up) ─────────────────────
+    if (solarMarkers.size > 0) this._renderSolarMarkers(ctx, x, y);
+
+    // ── Eclipse marker (low in the cell, at the time of greatest eclipse) ────
+    if (showEclipses && this.mEclipse) {
+      const t = Math.min(0.9, Math.max(0.1, this._frac(this.mEclipse.date)));
+      _drawEclipse(ctx, this.mEclipse, x + 0.5 * t - 0.82 / 6, y + 0.41, 0.035);
+    }
+
+    // ── Holiday badges ───────────────────────────────────────────────────────
+    if (holidayFamilies.size > 0) this._renderHolidays(ctx, x, y);
+
     // ── Date label / sign symbol ─────────────────────────────────────────────
     const cx = x + 1/6;   // horizontal centre of cell
     const cy = y + 0.25;  // vertical centre of cell
-    ctx.fillStyle = this.mIsSunday ? 'red' : 'black';
+    ctx.fillStyle = this.mIsRedDay ? _theme().redDay : _theme().label;
+    const alt = this._altDate();
 
     if (showSignSymbols && this.mSplitFraction !== null) {
       // Zodiac sign symbol via Path2D (replaces date number on sign-change days).
-      _drawZodiacPath(ctx, this.mTropicalPhase, cx, cy - 0.05, 0.42);
+      _drawZodiacPath(ctx, this.mSignEnd, cx, cy - 0.05, 0.42);
+    } else if (alt) {
+      // The other calendar's month name on its first day, else its day number.
+      if (alt.day === 1) _drawMonth(ctx, alt.short, cx, cy, 0.24, 0.4);
+      else               _drawDigits(ctx, String(alt.day), false, cx, cy - 0.03, 0.36);
     } else if (this.mBold) {
       // First of month: bold all-small-caps month abbreviation via Path2D (browser-consistent).
       _drawMonth(ctx, this.mDate, cx, cy, 0.24);
@@ -414,8 +1297,15 @@ class CalendarDate {
       _drawDigits(ctx, this.mDate, false, cx, cy - 0.03, 0.36);
     }
 
-    // ── Moon phase symbols (Noto emoji SVGs, left/right of cell) ────────────
-    // Phase start: opening octant at left edge; phase end: closing octant at right.
+    // The Gregorian date, small in the top-right corner (t ≈ 0.78, v ≈ 0.2).
+    if (alt) {
+      if (this.mBold) _drawMonth(ctx, this.mDate, x + 0.357, y + 0.1, 0.11, 0.16);
+      else            _drawDigits(ctx, this.mDate, false, x + 0.357, y + 0.09, 0.15);
+    }
+
+    // ── Moon phase symbols (drawn at end of day, left/right of cell) ────────
+    // Row start: at the left edge; row end: at the right. A new or full moon
+    // in mid-row goes just inside the left edge.
     if (showMoonSymbols) {
       const moonSize = 0.15;
       // Tangent to the diagonal edge of the parallelogram cell.
@@ -424,10 +1314,14 @@ class CalendarDate {
       //   left tangent:  cx = x - 1/12 - moonSize * sqrt(10)/6
       //   right tangent: cx = x + 5/12 + moonSize * sqrt(10)/6
       const S10_6 = Math.sqrt(10) / 6;  // ≈ 0.527
-      if (this.mIsPhaseStart) {
-        _drawMoon(ctx, this.mLunarPhase * 2,     x - 1/12 - moonSize * S10_6, cy, moonSize);
-      } else if (this.mIsPhaseEnd) {
-        _drawMoon(ctx, this.mLunarPhase * 2 + 1, x + 5/12 + moonSize * S10_6, cy, moonSize);
+      // Supermoons and micromoons are drawn larger and smaller.
+      const size = moonSize * (MOON_APSIS_SCALE[this.mMoonApsis] || 1);
+      if (this.mIsRowStart) {
+        _drawMoon(ctx, this._moonAngle(), x - 1/12 - size * S10_6, cy, size);
+      } else if (this.mIsRowEnd) {
+        _drawMoon(ctx, this._moonAngle(), x + 5/12 + size * S10_6, cy, size);
+      } else if (this.mSyzygy) {
+        _drawMoon(ctx, this.mSyzygy.index * 90, x - 1/12 + size * S10_6, cy, size);
       }
     }
 
@@ -0,0 +1,177 @@
+// calendars.js — Hebrew, Islamic and Chinese dates for a civil day.
+// Depends on zone.js (TimeZone.utc) and astro.js (Astro.findEvents: the
+// phase and solarTerm kinds).
+//
+//   hebrew    The arithmetical (fixed) calendar: the molad of Tishri with
+//             its four postponements fixes each new year, and the year's
+//             length fixes Heshvan, Kislev and the leap month Adar I
+//   islamic   The tabular calendar (civil epoch, 11 leap years in 30)
+//   chinese   Computed from our own new moons and solar terms, in China
+//             time (UTC+8): the month holding the December solstice is the
+//             11th; a year of 13 months between two such months repeats the
+//             number of its first month without a principal term (a solar
+//             term at a multiple of 30°) as a leap month
+//
+// Hebrew and Islamic days begin at sunset; a civil day is given the date
+// that covers its daylight.
+//
+//   dateOf(calendar, parts)   For { year, month, day } (month 0-based):
+//                             { year, month, day, leap, name, short }
+//                             month is 1-based in the calendar's own order
+//                             (Tishri, Muharram, the 1st month), name its
+//                             full name and short the small-cap label
+
+const HEBREW_EPOCH  = 347995.5;    // JD of 1 Tishri AM 1 − 2
+const ISLAMIC_EPOCH = 1948439.5;   // JD of 1 Muharram AH 1 (tabular)
+
+const Calendars = {
+  names: {
+    gregorian: 'Gregorian',
+    hebrew:    'Hebrew',
+    islamic:   'Islamic (tabular)',
+    chinese:   'Chinese',
+  },
+
+  dateOf(calendar, parts) {
+    const jd = TimeZone.utc(parts.year, parts.month, parts.day) / 86400000 + 2440587.5;
+    if (calendar === 'hebrew')  return this.hebrew.fromJd(jd);
+    if (calendar === 'islamic') return this.islamic.fromJd(jd);
+    return this.chinese.fromJd(jd);
+  },
+
+  hebrew: {
+    // Civil order, from Tishri; Adar I only in leap years.
+    names: ['Tishri', 'Heshvan', 'Kislev', 'Tevet', 'Shevat', 'Adar I', 'Adar II',
+            'Nisan', 'Iyar', 'Sivan', 'Tammuz', 'Av', 'Elul'],
+    short: ['tish', 'hesh', 'kis', 'tev', 'shev', 'adar', 'vead',
+            'nis', 'iyar', 'siv', 'tam', 'av', 'elul'],
+
+    // JD (at 0h) of 1 Tishri of a year.
+    newYear(year) {
+      const elapsed = (y) => {
+        const months = Math.floor((235 * y - 234) / 19);
+        const parts  = 12084 + 13753 * months;
+        let day = months * 29 + Math.floor(parts / 25920);
+        if ((3 * (day + 1)) % 7 < 3) day++;
+        return day;
+      };
+      const ny0 = elapsed(year - 1), ny1 = elapsed(year), ny2 = elapsed(year + 1);
+      const delay = ny2 - ny1 === 356 ? 2 : ny1 - ny0 === 382 ? 1 : 0;
+      return HEBREW_EPOCH + ny1 + delay + 2;
+    },
+
+    fromJd(jd) {
+      let year = Math.floor((jd - HEBREW_EPOCH) / 365.2468) + 1;
+      while (this.newYear(year) > jd)      year--;
+      while (this.newYear(year + 1) <= jd) year++;
+
+      // 353–355 days, or 383–385 in a leap year: Heshvan gains a day in a
+      // complete year and Kislev loses one in a deficient one.
+      const length  = this.newYear(year + 1) - this.newYear(year);
+      const leap    = length > 355;
+      const lengths = [30, length % 10 === 5 ? 30 : 29, length % 10 === 3 ? 29 : 30, 29, 30,
+                       leap ? 30 : 0, 29, 30, 29, 30, 29, 30, 29];
+      let day = jd - this.newYear(year);
+      let i   = 0;
+      while (day >= lengths[i]) day -= lengths[i++];
+
+      // In a common year the one Adar is plain Adar.
+      const plain = !leap && i === 6;
+      const month = leap || i < 5 ? i + 1 : i;
+      return { year, month, day: day + 1, leap: leap && i === 5,
+               name: plain ? 'Adar' : this.names[i], short: plain ? 'adar' : this.short[i] };
+    },
+  },
+
+  islamic: {
+    names: ['Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani', 'Jumada al-Ula', 'Jumada al-Akhira',
+            'Rajab', 'Shaban', 'Ramadan', 'Shawwal', 'Dhu al-Qada', 'Dhu al-Hijja'],
+    short: ['muh', 'saf', 'rab i', 'rab ii', 'jum i', 'jum ii',
+            'raj', 'shab', 'ram', 'shaw', 'qad', 'hij'],
+
+    toJd(year, month, day) {
+      return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+             Math.floor((3 + 11 * year) / 30) + ISLAMIC_EPOCH - 1;
+    },
+
+    fromJd(jd) {
+      jd = Math.floor(jd) + 0.5;
+      const year  = Math.floor((30 * (jd - ISLAMIC_EPOCH) + 10646) / 10631);
+      const month = Math.min(12, Math.ceil((jd - (29 + this.toJd(year, 1, 1))) / 29.5) + 1);
+      const day   = jd - this.toJd(year, month, 1) + 1;
+      return { year, month, day, leap: false, name: this.names[month - 1], short: this.short[month - 1] };
+    },
+  },
+
+  chinese: {
+    short:   ['zheng', 'er', 'san', 'si', 'wu', 'liu', 'qi', 'ba', 'jiu', 'shi', 'dong', 'la'],
+    animals: ['Rat', 'Ox', 'Tiger', 'Rabbit', 'Dragon', 'Snake',
+              'Horse', 'Goat', 'Monkey', 'Rooster', 'Dog', 'Pig'],
+
+    _years: {},
+
+    fromJd(jd) {
+      const day = Math.floor(jd - 2440587.5) * 86400000;   // ms of the date at 0h UTC
+      const y   = new Date(day).getUTCFullYear();
+      let months = this._months(y);
+      if (day < months[0].start) months = this._months(y - 1);
+
+      let i = months.length - 1;
+      while (months[i].start > day) i--;
+      const m = months[i];
+      // The year turns at the first month numbered 1 (New Year's day).
+      const newYear = months.find(n => n.number === 1 && !n.leap);
+      const year    = newYear && day >= newYear.start ? m.solsticeYear + 1 : m.solsticeYear;
+      return {
+        year,
+        month: m.number,
+        day:   Math.round((day - m.start) / 86400000) + 1,
+        leap:  m.leap,
+        name:  `${m.leap ? 'leap ' : ''}month ${m.number}, year of the ${this.animals[((year - 4) % 12 + 12) % 12]}`,
+        short: `${m.leap ? 'run ' : ''}${this.short[m.number - 1]}`,
+      };
+    },
+
+    // Months from the 11th month holding the December solstice of year y up
+    // to the next one: [{ start (ms of its China date), number, leap,
+    // solsticeYear }].
+    _months(y) {
+      const key = `${y}:${Astro.backend}`;
+      if (this._years[key]) return this._years[key];
+
+      const china = (d) => {
+        const c = new Date(d.getTime() + 8 * 3600000);
+        return TimeZone.utc(c.getUTCFullYear(), c.getUTCMonth(), c.getUTCDate());
+      };
+      const events = (kind, from, to) => Astro.findEvents(new Date(from), new Date(to), [kind]);
+      // A wide window: far from 2000 the standard backend's solstice drifts
+      // by weeks.
+      const solstice = (year) => events('season', TimeZone.utc(year, 10, 1), TimeZone.utc(year + 1, 1, 1))
+        .find(e => e.index === 3);
+
+      const s0 = china(solstice(y).date), s1 = china(solstice(y + 1).date);
+      const moons = events('phase', s0 - 40 * 86400000, s1 + 40 * 86400000)
+        .filter(e => e.index === 0).map(e => china(e.date));
+      const first = moons.filter(m => m <= s0).pop();
+      const last  = moons.filter(m => m <= s1).pop();
+      const span  = moons.filter(m => m >= first && m < last);
+      const next  = (i) => i + 1 < moons.length ? moons[moons.indexOf(span[i]) + 1] : Infinity;
+
+      // Principal terms (every 30°) by China date.
+      const principal = events('solarTerm', first, last + 40 * 86400000)
+        .filter(e => e.index % 2 === 0).map(e => china(e.date));
+      const hasPrincipal = (i) => principal.some(p => p >= span[i] && p < next(i));
+
+      const months = [];
+      let number = 11, leapUsed = span.length === 12;
+      span.forEach((start, i) => {
+        const leap = !leapUsed && i > 0 && !hasPrincipal(i);
+        if (leap) leapUsed = true;
+        else if (i > 0) number = number % 12 + 1;
+        months.push({ start, number, leap, solsticeYear: y });
+      });
+      this._years[key] = months;
+      return months;
+    },
+  },
+};
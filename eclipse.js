@@ -0,0 +1,115 @@
+// eclipse.js — Solar and lunar eclipses at new and full moon.
+// Depends on ephemeris.js (ΔT) and astro.js (RADS).
+//
+// Meeus, Astronomical Algorithms ch. 54. Each lunation k (0 = the new moon
+// of 2000 Jan 6, k + 0.5 = the full moon after it) has a mean syzygy whose
+// argument of latitude F says how far the Moon is from its node. Near a node
+// the periodic terms give the time of greatest eclipse, γ (the least distance
+// of the shadow axis from Earth's centre, in Earth radii) and u (the radius
+// of the umbral cone there), which together decide the type. Times are good
+// to a few minutes; the classification is exact except in borderline cases.
+//
+//   at(date, kind)   The syzygy of kind 'solar' (new moon) or 'lunar' (full
+//                    moon) nearest date, as
+//                    { kind, type, date, gamma, magnitude }
+//                    type: 'none' | 'penumbral' | 'partial' | 'total' |
+//                          'annular' | 'hybrid' (annular–total)
+//                    date: instant of greatest eclipse (or of the syzygy)
+//                    magnitude: lunar umbral (penumbral for penumbral ones),
+//                               solar partial; null for central solar eclipses
+
+const Eclipse = {
+  at(date, kind) {
+    const years = (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 365.25;
+    const x     = years * 12.3685;
+    const k     = kind === 'solar' ? Math.round(x) : Math.round(x - 0.5) + 0.5;
+    return this.lunation(k);
+  },
+
+  lunation(k) {
+    const kind = Number.isInteger(k) ? 'solar' : 'lunar';
+    const T    = k / 1236.85;
+    const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+    const d  = (deg) => deg * RADS;
+
+    const F  = d(160.7108 + 390.67050284 * k - 0.0016118 * T2 - 0.00000227 * T3 + 0.000000011 * T4);
+    let jde  = 2451550.09766 + 29.530588861 * k + 0.00015437 * T2 - 0.000000150 * T3 + 0.00000000073 * T4;
+
+    // Too far from a node for any eclipse.
+    if (Math.abs(Math.sin(F)) > 0.36) {
+      return { kind, type: 'none', date: this._fromJde(jde), gamma: null, magnitude: null };
+    }
+
+    const M  = d(2.5534 + 29.10535670 * k - 0.0000014 * T2 - 0.00000011 * T3);
+    const Mp = d(201.5643 + 385.81693528 * k + 0.0107582 * T2 + 0.00001238 * T3 - 0.000000058 * T4);
+    const Om = d(124.7746 - 1.56375588 * k + 0.0020672 * T2 + 0.00000215 * T3);
+    const E  = 1 - 0.002516 * T - 0.0000074 * T2;
+    const F1 = F - d(0.02665) * Math.sin(Om);
+    const A1 = d(299.77 + 0.107408 * k - 0.009173 * T2);
+
+    jde += (kind === 'solar' ? -0.4075 : -0.4065) * Math.sin(Mp)
+         + (kind === 'solar' ?  0.1721 :  0.1727) * E * Math.sin(M)
+         + 0.0161 * Math.sin(2 * Mp)
+         - 0.0097 * Math.sin(2 * F1)
+         + 0.0073 * E * Math.sin(Mp - M)
+         - 0.0050 * E * Math.sin(Mp + M)
+         - 0.0023 * Math.sin(Mp - 2 * F1)
+         + 0.0021 * E * Math.sin(2 * M)
+         + 0.0012 * Math.sin(Mp + 2 * F1)
+         + 0.0006 * E * Math.sin(2 * Mp + M)
+         - 0.0004 * Math.sin(3 * Mp)
+         - 0.0003 * E * Math.sin(M + 2 * F1)
+         + 0.0003 * Math.sin(A1)
+         - 0.0002 * E * Math.sin(M - 2 * F1)
+         - 0.0002 * E * Math.sin(2 * Mp - M)
+         - 0.0002 * Math.sin(Om);
+
+    const P = 0.2070 * E * Math.sin(M) + 0.0024 * E * Math.sin(2 * M)
+            - 0.0392 * Math.sin(Mp) + 0.0116 * Math.sin(2 * Mp)
+            - 0.0073 * E * Math.sin(Mp + M) + 0.0067 * E * Math.sin(Mp - M)
+            + 0.0118 * Math.sin(2 * F1);
+    const Q = 5.2207 - 0.0048 * E * Math.cos(M) + 0.0020 * E * Math.cos(2 * M)
+            - 0.3299 * Math.cos(Mp) - 0.0060 * E * Math.cos(Mp + M)
+            + 0.0041 * E * Math.cos(Mp - M);
+    const W = Math.abs(Math.cos(F1));
+    const gamma = (P * Math.cos(F1) + Q * Math.sin(F1)) * (1 - 0.0048 * W);
+    const u = 0.0059 + 0.0046 * E * Math.cos(M) - 0.0182 * Math.cos(Mp)
+            + 0.0004 * Math.cos(2 * Mp) - 0.0005 * Math.cos(M + Mp);
+    const g = Math.abs(gamma);
+
+    const result = { kind, type: 'none', date: this._fromJde(jde), gamma, magnitude: null };
+
+    if (kind === 'solar') {
+      if (g > 1.5433 + u) return result;
+      if (g < 0.9972 + Math.abs(u)) {
+        // Central eclipse (or, past 0.9972, a non-central one whose umbra
+        // only grazes the Earth).
+        if (u < 0)           result.type = 'total';
+        else if (u > 0.0047) result.type = 'annular';
+        else                 result.type = u < 0.00464 * Math.sqrt(1 - gamma * gamma) ? 'hybrid' : 'annular';
+      } else {
+        result.type      = 'partial';
+        result.magnitude = (1.5433 + u - g) / (0.5461 + 2 * u);
+      }
+      return result;
+    }
+
+    const penumbral = (1.5573 + u - g) / 0.5450;
+    const umbral    = (1.0128 - u - g) / 0.5450;
+    if (penumbral <= 0) return result;
+    if (umbral <= 0) {
+      result.type      = 'penumbral';
+      result.magnitude = penumbral;
+    } else {
+      result.type      = umbral >= 1 ? 'total' : 'partial';
+      result.magnitude = umbral;
+    }
+    return result;
+  },
+
+  // Julian Ephemeris Day (TT) to a UT Date.
+  _fromJde(jde) {
+    const year = 2000 + (jde - 2451545.0) / 365.25;
+    return new Date(Math.round((jde - 2440587.5) * 86400000 - Ephemeris.deltaT(year) * 1000));
+  },
+};
@@ -0,0 +1,375 @@
+// ephemeris.js — High-precision Sun and Moon positions for astro.js
+// All pure astronomical math. Uses RADS from astro.js; load after it.
+//
+// Selected by setting Astro.backend = 'precise'. The default 'standard'
+// backend (the AstroDate.java port) stays bit-for-bit what the Android app
+// computes; this one trades a few hundred extra trig calls per sample for
+// positions good enough to time ingresses and quarters to the second.
+//
+// ── Models ───────────────────────────────────────────────────────────────────
+//
+//   Sun    Truncated VSOP87D series for the Earth (Meeus, Astronomical
+//          Algorithms, 2nd ed., Appendix III), converted to apparent
+//          geocentric longitude with the FK5 correction, nutation in
+//          longitude and annual aberration.
+//   Moon   ELP-2000/82 truncated to the 60 + 60 periodic terms of Meeus
+//          chapter 47, plus nutation in longitude.
+//   ΔT     Espenak & Meeus polynomial fits (NASA Five Millennium Canon),
+//          used to turn the Date's UT into the dynamical time the series
+//          expect.
+//
+// ── Accuracy ─────────────────────────────────────────────────────────────────
+//
+//   Sun longitude   ~1″ within ±2000 years of J2000; a few arcseconds out to
+//                   ±4000 years. 1″ ≈ 24 s of time for an ingress.
+//   Moon longitude  ~10″ near the present, degrading slowly (a few arcminutes
+//                   by ±3000 years). 10″ ≈ 20 s of time for a quarter.
+//   ΔT              The real limit away from the present. It is known to a
+//                   second or so for 1600–2020, to minutes before 500 AD, and
+//                   is an extrapolation after ~2050 (≈ ±1 min by 2200,
+//                   ± tens of minutes by 3000).
+//
+// Taken together: quarter and ingress instants are good to about a minute
+// from −2000 to +3000, which covers every season a JS Date can sensibly be
+// asked about. Outside that range the values are still continuous, just
+// increasingly uncertain because of ΔT.
+//
+// All public functions take a JS Date (a UT instant) and return degrees.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+// VSOP87D Earth series. Each term is [A, B, C] → A·cos(B + C·τ),
+// τ in Julian millennia from J2000.0 (TT); A in 1e-8 rad (L, B) or 1e-8 AU (R).
+const _EARTH_L = [
+  [ // L0
+    [175347046, 0, 0], [3341656, 4.6692568, 6283.0758500], [34894, 4.62610, 12566.15170],
+    [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+    [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+    [1273, 2.0371, 529.6910], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+    [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+    [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+    [357, 2.920, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+    [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+    [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+    [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.980],
+    [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+    [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+    [85, 1.30, 6275.96], [85, 3.67, 71430.70], [80, 1.81, 17260.15],
+    [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.50, 3154.69],
+    [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+    [61, 1.82, 7084.90], [57, 2.78, 6286.60], [56, 4.39, 14143.50],
+    [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+    [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+    [41, 2.40, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+    [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+    [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+    [25, 3.16, 4690.48],
+  ],
+  [ // L1
+    [628331966747, 0, 0], [206059, 2.678235, 6283.075850], [4303, 2.6351, 12566.1517],
+    [425, 1.590, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+    [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+    [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+    [45, 0.40, 796.30], [36, 0.47, 775.52], [29, 2.65, 7.11],
+    [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.30],
+    [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+    [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+    [12, 5.27, 1194.45], [12, 2.08, 4694.00], [11, 0.77, 553.57],
+    [10, 1.30, 6286.60], [10, 4.24, 1349.87], [9, 2.70, 242.73],
+    [9, 5.64, 951.72], [8, 5.30, 2352.87], [6, 2.65, 9437.76],
+    [6, 4.67, 4690.48],
+  ],
+  [ // L2
+    [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+    [27, 0.05, 3.52], [16, 5.19, 26.30], [16, 3.68, 155.42],
+    [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+    [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+    [3, 5.14, 796.30], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+    [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+    [2, 4.38, 5223.69], [2, 3.75, 0.98],
+  ],
+  [ // L3
+    [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+    [3, 5.20, 155.42], [1, 4.72, 3.52], [1, 5.30, 18849.23],
+    [1, 5.97, 242.73],
+  ],
+  [ // L4
+    [114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15],
+  ],
+  [ // L5
+    [1, 3.14, 0],
+  ],
+];
+
+const _EARTH_B = [
+  [ // B0
+    [280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69],
+    [44, 3.70, 2352.87], [32, 4.00, 1577.34],
+  ],
+  [ // B1
+    [9, 3.90, 5507.55], [6, 1.73, 5223.69],
+  ],
+];
+
+const _EARTH_R = [
+  [ // R0
+    [100013989, 0, 0], [1670700, 3.0984635, 6283.0758500], [13956, 3.05525, 12566.15170],
+    [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+    [925, 5.453, 11506.770], [542, 4.564, 3930.210], [472, 3.661, 5884.927],
+    [346, 0.964, 5507.553], [329, 5.900, 5223.694], [307, 0.299, 5573.143],
+    [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+    [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+    [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+    [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.70],
+    [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+    [43, 6.01, 6275.96], [39, 5.36, 4694.00], [38, 2.39, 8827.39],
+    [37, 0.83, 19651.05], [37, 4.90, 12139.55], [36, 1.67, 12036.46],
+    [35, 1.84, 2942.46], [33, 0.24, 7084.90], [32, 0.18, 5088.63],
+    [32, 1.78, 398.15], [28, 1.21, 6286.60], [28, 1.90, 6279.55],
+    [26, 4.59, 10447.39],
+  ],
+  [ // R1
+    [103019, 1.107490, 6283.075850], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+    [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+    [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+    [9, 0.27, 5486.78],
+  ],
+  [ // R2
+    [4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0],
+    [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23],
+  ],
+  [ // R3
+    [145, 4.273, 6283.076], [7, 3.92, 12566.15],
+  ],
+  [ // R4
+    [4, 2.56, 6283.08],
+  ],
+];
+
+// Meeus table 47.A — Moon longitude and distance.
+// Each term is [D, M, M′, F, Σl (1e-6 °), Σr (1e-3 km)].
+const _MOON_LR = [
+  [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],   [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],     [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],     [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],     [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],   [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],     [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],          [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],     [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],      [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],       [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],       [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],       [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],       [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],          [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],        [2, -2, 0, 0, 2236, -9884],
+  [0, 1, 2, 0, -2120, 5751],        [0, 2, 0, 0, -2069, 0],
+  [2, -2, -1, 0, 2048, -4950],      [2, 0, 1, -2, -1773, 4130],
+  [2, 0, 0, 2, -1595, 0],           [4, -1, -1, 0, 1215, -3958],
+  [0, 0, 2, 2, -1110, 0],           [3, 0, -1, 0, -892, 3258],
+  [2, 1, 1, 0, -810, 2616],         [4, -1, -2, 0, 759, -1897],
+  [0, 2, -1, 0, -713, -2117],       [2, 2, -1, 0, -700, 2354],
+  [2, 1, -2, 0, 691, 0],            [2, -1, 0, -2, 596, 0],
+  [4, 0, 1, 0, 549, -1423],         [0, 0, 4, 0, 537, -1117],
+  [4, -1, 0, 0, 520, -1571],        [1, 0, -2, 0, -487, -1739],
+  [2, 1, 0, -2, -399, 0],           [0, 0, 2, -2, -381, -4421],
+  [1, 1, 1, 0, 351, 0],             [3, 0, -2, 0, -340, 0],
+  [4, 0, -3, 0, 330, 0],            [2, -1, 2, 0, 327, 0],
+  [0, 2, 1, 0, -323, 1165],         [1, 1, -1, 0, 299, 0],
+  [2, 0, 3, 0, 294, 0],             [2, 0, -1, -2, 0, 8752],
+];
+
+// Meeus table 47.B — Moon latitude. Each term is [D, M, M′, F, Σb (1e-6 °)].
+const _MOON_B = [
+  [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602],  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413],  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],   [0, 0, 2, 1, 17198],   [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],   [2, -1, 0, -1, 8216],  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],    [2, 1, 0, -1, -3359],  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],   [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],  [0, 1, 0, 1, -1794],   [0, 0, 0, 3, -1749],
+  [0, 1, -1, 1, -1565],  [1, 0, 0, 1, -1491],   [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410],  [0, 1, 0, -1, -1344],  [1, 0, 0, -1, -1335],
+  [0, 0, 3, 1, 1107],    [4, 0, 0, -1, 1021],   [4, 0, -1, 1, 833],
+  [0, 0, 1, -3, 777],    [4, 0, -2, 1, 671],    [2, 0, 0, -3, 607],
+  [2, 0, 2, -1, 596],    [2, -1, 1, -1, 491],   [2, 0, -2, 1, -451],
+  [0, 0, 3, -1, 439],    [2, 0, 2, 1, 422],     [2, 0, -3, -1, 421],
+  [2, 1, -1, 1, -366],   [2, 1, 0, 1, -351],    [4, 0, 0, 1, 331],
+  [2, -1, 1, 1, 315],    [2, -2, 0, -1, 302],   [0, 0, 1, 3, -283],
+  [2, 1, 1, -1, -229],   [1, 1, 0, -1, 223],    [1, 1, 0, 1, 223],
+  [0, 1, -2, -1, -220],  [2, 1, -1, -1, -220],  [1, 0, 1, 1, -185],
+  [2, -1, -2, -1, 181],  [0, 1, 2, 1, -177],    [4, 0, -2, -1, 176],
+  [4, -1, -1, -1, 166],  [1, 0, 1, -1, -164],   [4, 0, 1, -1, 132],
+  [1, 0, -1, -1, -119],  [4, -1, 0, -1, 115],   [2, -2, 0, 1, 107],
+];
+
+const Ephemeris = {
+
+  // Julian Day (UT) of a JS Date.
+  julianDay(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+  },
+
+  // ΔT = TT − UT in seconds for a (fractional) Gregorian year.
+  // Espenak & Meeus piecewise polynomials.
+  deltaT(y) {
+    let t, u;
+    if (y < -500) {
+      u = (y - 1820) / 100;
+      return -20 + 32 * u * u;
+    }
+    if (y < 500) {
+      u = y / 100;
+      return 10583.6 - 1014.41 * u + 33.78311 * u ** 2 - 5.952053 * u ** 3
+        - 0.1798452 * u ** 4 + 0.022174192 * u ** 5 + 0.0090316521 * u ** 6;
+    }
+    if (y < 1600) {
+      u = (y - 1000) / 100;
+      return 1574.2 - 556.01 * u + 71.23472 * u ** 2 + 0.319781 * u ** 3
+        - 0.8503463 * u ** 4 - 0.005050998 * u ** 5 + 0.0083572073 * u ** 6;
+    }
+    if (y < 1700) {
+      t = y - 1600;
+      return 120 - 0.9808 * t - 0.01532 * t ** 2 + t ** 3 / 7129;
+    }
+    if (y < 1800) {
+      t = y - 1700;
+      return 8.83 + 0.1603 * t - 0.0059285 * t ** 2 + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+    }
+    if (y < 1860) {
+      t = y - 1800;
+      return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3
+        - 0.00037436 * t ** 4 + 0.0000121272 * t ** 5 - 0.0000001699 * t ** 6
+        + 0.000000000875 * t ** 7;
+    }
+    if (y < 1900) {
+      t = y - 1860;
+      return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3
+        - 0.0004473624 * t ** 4 + t ** 5 / 233174;
+    }
+    if (y < 1920) {
+      t = y - 1900;
+      return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (y < 1941) {
+      t = y - 1920;
+      return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+    }
+    if (y < 1961) {
+      t = y - 1950;
+      return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+    }
+    if (y < 1986) {
+      t = y - 1975;
+      return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    if (y < 2005) {
+      t = y - 2000;
+      return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3
+        + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (y < 2050) {
+      t = y - 2000;
+      return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    u = (y - 1820) / 100;
+    if (y < 2150) return -20 + 32 * u * u - 0.5628 * (2150 - y);
+    return -20 + 32 * u * u;
+  },
+
+  // Julian centuries of dynamical time (TT) since J2000.0 for a JS Date.
+  centuries(date) {
+    const jd   = this.julianDay(date);
+    const year = 2000 + (jd - 2451545.0) / 365.25;
+    const jde  = jd + this.deltaT(year) / 86400;
+    return (jde - 2451545.0) / 36525;
+  },
+
+  // Normalize degrees to [0, 360)
+  norm(deg) {
+    const a = deg % 360;
+    return a < 0 ? a + 360 : a;
+  },
+
+  // Sum a VSOP87 series set at τ millennia.
+  _vsop(series, tau) {
+    let sum = 0;
+    let tp  = 1;
+    for (const terms of series) {
+      let s = 0;
+      for (const [a, b, c] of terms) s += a * Math.cos(b + c * tau);
+      sum += s * tp;
+      tp  *= tau;
+    }
+    return sum / 1e8;
+  },
+
+  // Nutation in longitude and obliquity (degrees), Meeus ch. 22 (≈0.5″).
+  nutation(T) {
+    const om = (125.04452 - 1934.136261 * T) * RADS;
+    const l  = (280.4665 + 36000.7698 * T) * RADS;
+    const lp = (218.3165 + 481267.8813 * T) * RADS;
+    const dpsi = -17.20 * Math.sin(om) - 1.32 * Math.sin(2 * l)
+               - 0.23 * Math.sin(2 * lp) + 0.21 * Math.sin(2 * om);
+    const deps =   9.20 * Math.cos(om) + 0.57 * Math.cos(2 * l)
+               + 0.10 * Math.cos(2 * lp) - 0.09 * Math.cos(2 * om);
+    return { dpsi: dpsi / 3600, deps: deps / 3600 };
+  },
+
+  // True obliquity of the ecliptic (degrees).
+  obliquity(T) {
+    const eps0 = 23.4392911111 - (46.8150 * T + 0.00059 * T * T - 0.001813 * T * T * T) / 3600;
+    return eps0 + this.nutation(T).deps;
+  },
+
+  // Apparent geocentric Sun: { longitude, latitude (°), distance (AU) }.
+  sun(date) {
+    const T   = this.centuries(date);
+    const tau = T / 10;
+    const L = this._vsop(_EARTH_L, tau) / RADS;
+    const B = this._vsop(_EARTH_B, tau) / RADS;
+    const R = this._vsop(_EARTH_R, tau);
+    // Heliocentric Earth → geocentric Sun, then FK5, nutation, aberration.
+    let lon = L + 180 - 0.09033 / 3600;
+    lon += this.nutation(T).dpsi - 20.4898 / 3600 / R;
+    return { longitude: this.norm(lon), latitude: -B, distance: R };
+  },
+
+  // Apparent geocentric Moon: { longitude, latitude (°), distance (km) }.
+  moon(date) {
+    const T  = this.centuries(date);
+    const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+    const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000;
+    const D  = 297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000;
+    const M  = 357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000;
+    const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000;
+    const F  = 93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000;
+    const A1 = 119.75 + 131.849 * T;
+    const A2 = 53.09 + 479264.290 * T;
+    const A3 = 313.45 + 481266.484 * T;
+    const E  = 1 - 0.002516 * T - 0.0000074 * T2;
+
+    let sl = 0, sr = 0, sb = 0;
+    for (const [d, m, mp, f, cl, cr] of _MOON_LR) {
+      const arg = (d * D + m * M + mp * Mp + f * F) * RADS;
+      const e   = Math.abs(m) === 2 ? E * E : (m ? E : 1);
+      sl += cl * e * Math.sin(arg);
+      sr += cr * e * Math.cos(arg);
+    }
+    for (const [d, m, mp, f, cb] of _MOON_B) {
+      const arg = (d * D + m * M + mp * Mp + f * F) * RADS;
+      const e   = Math.abs(m) === 2 ? E * E : (m ? E : 1);
+      sb += cb * e * Math.sin(arg);
+    }
+    sl += 3958 * Math.sin(A1 * RADS) + 1962 * Math.sin((Lp - F) * RADS) + 318 * Math.sin(A2 * RADS);
+    sb += -2235 * Math.sin(Lp * RADS) + 382 * Math.sin(A3 * RADS)
+        + 175 * Math.sin((A1 - F) * RADS) + 175 * Math.sin((A1 + F) * RADS)
+        + 127 * Math.sin((Lp - Mp) * RADS) - 115 * Math.sin((Lp + Mp) * RADS);
+
+    const lon = Lp + sl / 1e6 + this.nutation(T).dpsi;
+    return { longitude: this.norm(lon), latitude: sb / 1e6, distance: 385000.56 + sr / 1000 };
+  },
+
+};
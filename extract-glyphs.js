@@ -1,7 +1,11 @@
 // extract-glyphs.js
 // Extracts Path2D-compatible SVG path strings from:
 //   - EB Garamond Regular/Bold: digits 0-9 (old-style .osf)
-//   - Noto Sans Symbols: zodiac signs U+2648-U+2653
+//   - EB Garamond Bold: small capitals a-z plus every letter of the month
+//     abbreviations in locale.js (accented Latin and Greek)
+//   - Noto Sans Symbols: zodiac signs U+2648-U+2653, Ophiuchus U+26CE,
+//     planets U+263F-U+2644
+//   - EB Garamond Regular: prescription sign ℞ U+211E (retrograde station)
 // Outputs glyphs.js for use in calendarDate.js
 
 'use strict';
@@ -60,8 +64,13 @@ function extractDigits(font, suffix) {
 }
 
 // ── Extract: bold small-cap letters for month abbreviations ───────────────────
-// Month abbreviations jan feb mar apr may jun jul aug sep oct nov dec use these letters:
-const MONTH_LETTERS = [...new Set('janfebmaraprmayjunjulaugsepoctnovdec'.split(''))].sort();
+// a-z (the D of a direct station is drawn the same way) and every letter the
+// locales' month abbreviations use, keyed by the lowercase character.
+const LOCALES = new Function(fs.readFileSync('locale.js', 'utf8') + '; return LOCALES;')();
+const MONTH_LETTERS = [...new Set([
+  ...'abcdefghijklmnopqrstuvwxyz',
+  ...Object.values(LOCALES).flatMap(l => [...l.months.join('').toLowerCase()]),
+])].sort();
 
 function extractSmallCaps(font) {
   const byName = {};
@@ -71,7 +80,8 @@ function extractSmallCaps(font) {
   }
   const result = {};
   for (const letter of MONTH_LETTERS) {
-    const glyphName = `${letter}.sc`;
+    // Small caps are named after the lowercase glyph: a.sc, eacute.sc, uni03BC.sc.
+    const glyphName = `${font.charToGlyph(letter).name}.sc`;
     const found = byName[glyphName];
     if (!found) { console.warn('Missing small-cap:', glyphName); continue; }
     const d = glyphPath(font, found);
@@ -92,6 +102,29 @@ function extractZodiac(font) {
     const sign = cp - 0x2648;  // 0=Aries ... 11=Pisces
     if (d) result[sign] = { d, advanceWidth: glyph.advanceWidth / font.unitsPerEm };
   }
+  // Ophiuchus (constellation mode) follows Pisces as sign 12
+  const idx   = font.charToGlyphIndex('\u26CE');
+  const glyph = font.glyphs.get(idx);
+  if (!glyph || idx === 0) console.warn('Missing Ophiuchus U+26CE');
+  else result[12] = { d: glyphPath(font, glyph), advanceWidth: glyph.advanceWidth / font.unitsPerEm };
+  return result;
+}
+
+// ── Extract: planet symbols from Noto Sans Symbols ───────────────────────────
+
+const PLANET_CHARS = {
+  mercury: '\u263F', venus: '\u2640', mars: '\u2642', jupiter: '\u2643', saturn: '\u2644',
+};
+
+function extractChars(font, chars) {
+  const result = {};
+  for (const [key, ch] of Object.entries(chars)) {
+    const idx   = font.charToGlyphIndex(ch);
+    const glyph = font.glyphs.get(idx);
+    if (!glyph || idx === 0) { console.warn('Missing ' + key); continue; }
+    const d = glyphPath(font, glyph);
+    if (d) result[key] = { d, advanceWidth: glyph.advanceWidth / font.unitsPerEm };
+  }
   return result;
 }
 
@@ -121,10 +154,15 @@ const smallCaps = extractSmallCaps(ebBold);
 console.log('Extracting zodiac symbols from Noto Sans Symbols...');
 const zodiac = extractZodiac(noto);
 
+console.log('Extracting planet symbols and ℞...');
+const planets = extractChars(noto, PLANET_CHARS);
+const rx      = extractChars(ebReg, { rx: '\u211E' }).rx;
+
 console.log(`  digits regular: ${Object.keys(digitsReg).length}/10`);
 console.log(`  digits bold:    ${Object.keys(digitsBold).length}/10`);
 console.log(`  small caps:     ${Object.keys(smallCaps).length}/${MONTH_LETTERS.length} (${MONTH_LETTERS.join('')})`);
-console.log(`  zodiac signs:   ${Object.keys(zodiac).length}/12`);
+console.log(`  zodiac signs:   ${Object.keys(zodiac).length}/13`);
+console.log(`  planets:        ${Object.keys(planets).length}/${Object.keys(PLANET_CHARS).length}`);
 
 // ── Emit glyphs.js ────────────────────────────────────────────────────────────
 
@@ -156,13 +194,19 @@ const Glyphs = {
   // Old-style digits 0-9, bold weight
   digitsBold: ${JSON.stringify(digitsBold, null, 4)},
 
-  // Bold small-cap letters for month abbreviations (jan feb mar apr may jun jul aug sep oct nov dec)
+  // Bold small-cap letters for month abbreviations: a-z and the letters of locale.js's months
   // Key = lowercase letter.  Glyphs sit on the baseline; visual centre is at xHeight/2 above baseline.
   smallCaps: ${JSON.stringify(smallCaps, null, 4)},
 
-  // Zodiac signs 0=Aries ... 11=Pisces
+  // Zodiac signs 0=Aries ... 11=Pisces, 12=Ophiuchus
   zodiac: ${JSON.stringify(zodiac, null, 4)},
 
+  // Planet symbols (Noto Sans Symbols), keyed by name as in planets.js
+  planets: ${JSON.stringify(planets, null, 4)},
+
+  // ℞ (EB Garamond Regular), marks a retrograde station
+  rx: ${JSON.stringify(rx, null, 4)},
+
 };
 `;
 
@@ -9,7 +9,8 @@ const Glyphs = fn();
 
 const names = [
   'aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
-  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'
+  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces',
+  'ophiuchus'
 ];
 
 const outDir = __dirname + '/zodiac';
@@ -28,7 +29,7 @@ function pathBounds(d) {
   return { minX, minY, maxX, maxY };
 }
 
-for (let i = 0; i < 12; i++) {
+for (let i = 0; i < names.length; i++) {
   const g = Glyphs.zodiac[String(i)];
   const b = pathBounds(g.d);
   const pad = 20;
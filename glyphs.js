@@ -115,7 +115,7 @@ const Glyphs = {
     }
 },
 
-  // Bold small-cap letters for month abbreviations (jan feb mar apr may jun jul aug sep oct nov dec)
+  // Bold small-cap letters for month abbreviations: a-z and the letters of locale.js's months
   // Key = lowercase letter.  Glyphs sit on the baseline; visual centre is at xHeight/2 above baseline.
   smallCaps: {
     "a": {
@@ -146,10 +146,22 @@ const Glyphs = {
         "d": "M317 1011C423 1011 480 982 496 974C508 969 520 961 520 955C520 948 515 944 509 939C502 933 495 926 495 911L497 848C498 829 505 821 537 814C550 811 558 806 558 795C558 788 554 784 539 784C506 784 468 787 438 787C411 787 344 783 313 783C301 783 292 790 292 796C292 805 299 811 311 814C339 820 370 818 369 850L368 927C367 955 353 972 325 972C234 972 204 870 204 753C204 665 256 577 350 577C427 577 456 626 478 677C483 687 490 697 502 697C511 697 516 686 516 677C516 655 511 628 505 592C503 578 495 570 484 566C440 551 385 541 339 541C151 541 45 661 45 780C45 922 165 1011 317 1011Z",
         "advanceWidth": 0.602
     },
+    "h": {
+        "d": "M50 1001C74 1001 132 998 164 998C193 998 258 1001 281 1001C291 1001 301 996 301 986C301 975 293 972 284 970C256 963 243 958 243 932L243 805C243 797 248 791 257 791C282 791 302 790 325 790C349 790 372 791 398 791C406 791 411 794 411 803L411 928C411 952 398 961 368 969C358 971 349 975 349 987C349 997 359 1001 366 1001C394 1001 460 998 490 998C522 998 582 1001 606 1001C615 1001 623 998 623 989C623 979 616 972 607 970C574 963 562 957 562 931L562 626C562 593 570 586 606 577C617 574 623 568 623 558C623 551 614 547 606 547C576 547 518 551 486 551C458 551 397 548 368 548C359 548 350 551 350 560C350 570 360 576 367 578C397 587 411 598 411 630L411 737C411 745 406 748 399 748C375 748 352 751 329 751C304 751 281 748 255 748C247 748 243 745 243 736L243 629C243 599 250 587 285 579C295 577 303 571 303 561C303 553 296 548 287 548C258 548 193 551 164 551C133 551 77 547 47 547C40 547 31 551 31 558C31 571 40 575 49 578C83 589 92 597 92 627L92 931C92 958 82 965 51 971C41 973 32 979 32 989C32 997 43 1001 50 1001Z",
+        "advanceWidth": 0.655
+    },
+    "i": {
+        "d": "M52 1001C82 1001 136 998 165 998C193 998 257 1001 286 1001C293 1001 301 997 301 987C301 976 292 972 282 968C257 960 244 953 244 927L244 627C244 601 243 592 286 578C295 574 303 570 303 561C303 553 298 548 287 548C258 548 193 551 165 551C135 551 80 547 50 547C40 547 31 551 31 560C31 571 39 576 50 579C83 587 93 597 93 626L93 930C93 959 79 965 52 970C41 972 34 978 34 988C34 997 43 1001 52 1001Z",
+        "advanceWidth": 0.336
+    },
     "j": {
         "d": "M65 1145C104 1145 147 1122 183 1087C232 1035 261 966 261 892L261 626C261 599 273 586 307 577C317 575 326 571 326 561C326 553 317 548 309 548C280 548 213 551 182 551C153 551 96 547 66 547C58 547 49 550 49 560C49 572 57 577 66 579C106 587 111 597 111 627L111 981C111 1075 92 1103 64 1103C54 1103 49 1090 26 1066C17 1058 6 1052-4 1052C-26 1052-51 1071-51 1098C-51 1126-9 1145 65 1145Z",
         "advanceWidth": 0.353
     },
+    "k": {
+        "d": "M51 1005C105 1005 132 996 161 996C191 996 231 1002 281 1002C293 1002 302 996 302 988C302 977 290 972 282 971C252 966 245 955 244 933C243 901 243 862 243 822C243 813 248 805 255 805C266 805 275 812 282 821L367 923C384 944 384 968 351 972C341 974 332 980 332 990C332 997 341 1002 348 1002C385 1002 400 998 448 998C495 998 555 1003 600 1003C624 1003 634 996 634 985C634 974 624 970 608 966C570 958 540 934 527 918L377 739C370 731 367 720 379 707C411 676 449 641 484 616C513 595 545 585 596 578C606 576 617 572 617 561C617 552 605 548 595 548C552 548 509 554 467 554C436 554 409 551 377 551C369 551 361 556 361 563C361 573 370 579 383 583C411 593 417 606 401 626C366 666 340 699 301 737C279 759 262 773 253 773C247 773 244 769 244 759L244 628C244 599 253 588 290 579C298 577 307 571 307 561C307 553 301 548 292 548C264 548 197 552 166 552C137 552 78 547 48 547C40 547 31 552 31 561C31 572 40 577 48 578C88 586 93 597 93 627L93 932C93 957 80 966 49 971C39 972 30 979 30 989C30 996 41 1005 51 1005Z",
+        "advanceWidth": 0.653
+    },
     "l": {
         "d": "M50 1003C96 1003 133 1000 159 999C254 999 389 1003 417 1003C426 1003 433 994 434 988C437 975 462 886 462 873C462 865 459 855 449 855C441 855 436 861 431 871C399 940 380 953 332 953L272 953C258 953 246 946 246 920L246 636C246 605 253 586 281 579C290 577 298 571 298 561C298 553 293 548 283 548C255 548 193 551 166 551C137 551 79 547 49 547C42 547 31 550 31 560C31 571 39 577 49 580C89 592 95 603 95 632L95 932C95 961 84 964 54 973C41 978 38 986 38 990C38 997 44 1003 50 1003Z",
         "advanceWidth": 0.495
@@ -170,6 +182,10 @@ const Glyphs = {
         "d": "M48 1001C79 1001 133 999 162 999C193 999 273 1001 302 1001C311 1001 319 995 319 984C319 973 311 968 303 967C259 960 243 950 243 932L244 621C244 594 265 581 288 581C324 581 354 620 354 709C354 782 335 815 310 815C303 815 294 812 284 812C278 812 269 815 269 826C269 840 285 849 312 849C427 849 497 784 497 686C497 588 424 544 293 544C222 544 205 553 167 553C137 553 77 547 46 547C39 547 31 553 31 562C31 571 36 578 46 580C81 587 93 591 93 615L93 928C93 952 84 961 48 967C41 968 32 973 32 985C32 997 41 1001 48 1001Z",
         "advanceWidth": 0.538
     },
+    "q": {
+        "d": "M651 1228C708 1228 742 1222 767 1210C780 1204 788 1196 788 1182C788 1171 776 1165 758 1165C746 1165 730 1171 701 1171C630 1171 492 1061 432 998C427 992 429 987 433 984C521 946 586 866 586 766C586 632 459 542 318 542C144 542 45 657 45 785C45 881 111 958 212 992C233 1004 281 1039 294 1053C368 1125 510 1228 651 1228ZM321 968C247 968 205 881 205 762C205 659 241 585 311 585C387 585 426 672 426 787C426 891 392 968 321 968Z",
+        "advanceWidth": 0.621
+    },
     "r": {
         "d": "M509 1014C572 1014 609 1001 609 980C609 970 598 968 591 967C575 965 532 940 510 917C479 884 432 827 411 785C406 777 409 772 416 770C460 757 500 717 500 660C500 583 423 547 304 547C244 547 204 555 165 555C123 555 101 547 50 547C40 547 31 553 31 562C31 571 38 578 50 580C82 587 91 594 91 616L91 928C91 954 86 958 47 967C40 969 31 974 31 984C31 992 37 1001 48 1001C78 1001 132 999 160 999C191 999 270 1000 299 1000C306 1000 315 995 315 987C315 977 305 972 297 971C253 964 242 954 242 931L242 824C242 811 252 804 261 804C280 804 290 813 299 833C315 867 338 908 359 933C390 971 432 1014 509 1014ZM283 762C266 762 242 751 242 727L240 619C239 594 265 587 285 587C323 587 358 614 358 672C358 737 334 762 283 762Z",
         "advanceWidth": 0.624
@@ -190,13 +206,109 @@ const Glyphs = {
         "d": "M292 1016C304 1016 317 993 331 965C372 885 434 738 487 616C496 594 513 583 542 574C548 572 560 571 560 560C560 549 548 545 537 545C507 545 498 550 476 550C449 550 433 547 392 547C384 547 371 553 371 560C371 570 383 578 393 579C417 580 431 588 431 607C431 614 430 625 427 633L356 813C349 833 344 839 335 816L262 625C258 615 257 606 257 599C257 589 268 585 293 579C301 577 313 570 313 561C313 553 304 546 293 546C251 546 181 551 150 551C122 551 67 548 30 548C25 548 18 554 18 562C18 573 26 577 32 579C67 588 77 599 88 624L254 960C270 993 281 1016 292 1016Z",
         "advanceWidth": 0.582
     },
+    "w": {
+        "d": "M337 1013C351 1013 361 997 375 981L469 849L541 984C552 1004 567 1013 580 1013C596 1013 607 1001 617 980L794 624C806 599 828 581 852 574C858 572 874 571 874 560C874 549 860 545 847 545C824 545 805 550 794 550C785 550 760 547 740 547C731 547 714 549 714 558C714 571 722 573 733 576C749 579 762 594 753 612L635 850C632 857 626 859 620 849L558 725L622 627C643 595 663 580 683 576C693 573 702 569 702 559C702 548 691 546 681 546C647 546 620 550 606 550C592 550 587 548 559 548C553 548 549 549 546 550C541 548 534 547 525 547C488 547 447 552 417 552C389 552 327 549 295 549C289 549 283 550 280 554C275 550 268 548 261 548C221 548 185 551 155 551C123 551 68 548 32 548C27 548 14 553 14 561C14 571 28 574 34 576C68 585 75 601 86 620L295 968C314 998 323 1013 337 1013ZM505 615C492 592 504 572 533 571C539 571 543 570 546 569C550 571 555 573 560 574C585 581 589 599 575 623L540 685ZM386 858L246 608C238 591 242 581 260 578C269 577 276 575 280 570C285 574 292 576 298 578C322 585 331 598 338 614L441 802L403 860C396 870 392 869 386 858Z",
+        "advanceWidth": 0.895
+    },
+    "x": {
+        "d": "M48 1005C84 1005 100 1001 127 1001C160 1001 174 1004 217 1004C226 1004 239 1000 239 991C239 983 230 976 216 973C191 967 180 959 195 930L249 830C258 813 271 811 284 828L362 936C378 958 362 969 325 974C317 975 305 980 305 990C305 997 319 1002 325 1002C364 1002 394 996 424 996C479 996 519 1003 599 1003C612 1003 619 996 619 988C619 977 607 973 592 968C570 962 549 952 528 924L413 771C403 758 397 747 409 733L496 631C527 594 548 586 583 577C595 574 605 571 605 560C605 549 590 546 581 546C542 546 519 551 489 551C454 551 446 547 404 547C395 547 383 552 383 558C383 570 395 576 405 577C437 583 444 596 432 616L385 700C376 717 367 711 357 698L294 623C280 608 276 584 328 576C342 574 350 569 350 559C350 549 336 546 328 546C280 546 252 554 217 554C164 554 118 549 57 549C50 549 41 553 41 561C41 571 51 575 60 578C89 589 96 597 108 613L222 759C233 773 233 783 222 799L131 924C115 945 85 972 48 976C42 976 26 980 26 991C26 1002 39 1005 48 1005Z",
+        "advanceWidth": 0.647
+    },
     "y": {
         "d": "M171 1005C201 1005 262 996 290 996C319 996 391 1003 420 1003C429 1003 438 997 438 989C438 978 426 975 418 973C379 960 370 959 370 922L370 827C370 803 380 771 393 752L487 604C493 594 515 582 550 573C556 572 566 568 566 558C566 547 553 545 543 545C506 545 492 553 460 553C428 553 403 547 369 547C359 547 347 552 347 558C347 568 358 574 368 576C401 579 423 596 409 623L345 759C341 767 335 768 330 759L252 633C231 602 254 582 293 576C304 574 313 569 313 559C313 552 304 546 294 546C245 546 214 554 175 554C126 554 96 548 38 548C28 548 21 553 21 561C21 572 32 576 40 577C70 583 78 590 92 611L192 755C212 782 219 795 219 840L219 923C219 949 209 965 170 973C162 974 150 980 150 990C150 997 159 1005 171 1005Z",
         "advanceWidth": 0.588
+    },
+    "z": {
+        "d": "M58 1004C79 1004 102 999 133 999C216 999 375 1002 412 1002C427 1002 434 997 437 985C449 943 461 906 461 883C461 873 458 862 448 862C439 862 433 869 429 877C409 921 391 955 347 955L265 955C239 955 237 945 250 922L414 651C432 621 464 577 464 565C464 554 460 546 448 546C424 546 302 550 281 549L199 552C169 552 159 552 135 547C118 544 100 526 88 526C76 526 70 539 69 550C64 592 38 644 38 659C38 670 39 677 50 677C67 677 80 662 89 650C112 619 156 593 192 593C211 593 238 593 256 594C269 594 272 602 265 612L80 910C66 932 36 974 36 985C36 995 45 1004 58 1004Z",
+        "advanceWidth": 0.508
+    },
+    "ä": {
+        "d": "M401 458C443 458 476 424 476 386C476 346 443 314 401 314C362 314 330 346 330 386C330 424 362 458 401 458ZM207 458C249 458 282 424 282 386C282 346 249 314 207 314C168 314 136 346 136 386C136 424 168 458 207 458ZM314 1004C356 1004 413 998 444 998C478 998 529 1001 567 1001C576 1001 583 996 583 988C583 976 573 974 565 973C534 968 522 954 515 934L383 554C377 540 373 528 366 528C359 528 346 532 327 542C313 550 245 582 224 593C217 597 223 621 208 655L91 933C79 958 60 969 30 975C23 976 13 979 13 989C13 1001 24 1003 34 1003C71 1003 85 999 113 999C145 999 163 1002 206 1002C218 1002 225 997 225 989C225 979 219 975 206 973C159 965 154 952 161 928C165 912 170 900 179 879C181 873 183 868 193 868L326 868C336 868 340 871 342 879L355 921C364 952 353 965 315 972C302 974 295 979 295 989C295 997 302 1004 314 1004ZM214 822C201 822 203 817 204 808C222 759 241 704 260 657C263 650 266 651 267 657C280 705 306 767 319 808C322 818 318 822 309 822Z",
+        "advanceWidth": 0.599
+    },
+    "é": {
+        "d": "M204 484C211 484 220 479 231 468C272 426 319 372 358 328C365 319 368 310 368 303C368 287 340 279 309 279C286 279 274 285 264 304C248 334 213 413 198 451C194 460 193 467 193 472C193 481 198 484 204 484ZM49 1003C75 1003 133 1000 162 1000C256 1000 377 1002 409 1002C422 1002 432 995 435 982C447 939 458 916 459 882C459 874 455 865 447 865C441 865 434 871 431 880C417 922 380 957 337 957L270 957C247 957 240 949 240 929L240 810C240 802 244 794 254 794C273 794 295 794 314 794C334 795 343 808 352 841C356 854 364 860 371 860C376 860 381 853 379 836C376 806 376 798 376 776C376 754 376 740 379 711C381 699 376 692 371 692C364 692 358 694 354 706C341 741 331 752 308 752L261 752C248 752 240 748 240 733L240 624C240 600 255 590 274 590L328 590C375 590 385 614 407 662C412 673 421 678 426 678C432 678 436 671 436 662C436 636 422 597 422 566C422 552 410 548 402 548C384 548 238 551 137 551C118 551 72 547 49 547C40 547 31 554 31 563C31 572 38 578 49 581C83 589 89 600 89 629L89 929C89 955 78 961 52 968C42 970 33 976 33 987C33 995 39 1003 49 1003Z",
+        "advanceWidth": 0.491
+    },
+    "û": {
+        "d": "M344 266C332 266 323 279 309 305C284 347 248 404 229 443C218 464 220 482 239 482C249 482 261 470 279 450C294 434 314 408 339 382C344 377 345 378 350 382C374 408 395 434 409 450C427 470 440 482 450 482C462 482 470 465 460 443C440 404 404 345 379 303C366 280 357 266 344 266ZM309 1011C428 1011 515 922 516 802L517 644C518 605 527 589 568 576C579 574 586 567 586 560C586 549 577 547 568 547C528 547 523 550 492 550C459 550 452 547 406 547C391 547 383 552 383 560C383 571 403 573 415 580C452 600 460 600 460 683L460 798C460 897 419 928 341 928C289 928 245 891 245 807L245 646C245 610 252 596 275 586C289 579 315 574 315 560C315 552 308 548 297 548C256 548 199 551 165 551C134 551 87 547 48 547C39 547 30 553 30 560C30 567 36 573 48 576C83 583 93 619 93 638L93 813C93 931 163 1011 309 1011Z",
+        "advanceWidth": 0.611
+    },
+    "α": {
+        "d": "M314 1004C356 1004 413 998 444 998C478 998 529 1001 567 1001C576 1001 583 996 583 988C583 976 573 974 565 973C534 968 522 954 515 934L383 554C377 540 373 528 366 528C359 528 346 532 327 542C313 550 245 582 224 593C217 597 223 621 208 655L91 933C79 958 60 969 30 975C23 976 13 979 13 989C13 1001 24 1003 34 1003C71 1003 85 999 113 999C145 999 163 1002 206 1002C218 1002 225 997 225 989C225 979 219 975 206 973C159 965 154 952 161 928C165 912 170 900 179 879C181 873 183 868 193 868L326 868C336 868 340 871 342 879L355 921C364 952 353 965 315 972C302 974 295 979 295 989C295 997 302 1004 314 1004ZM214 822C201 822 203 817 204 808C222 759 241 704 260 657C263 650 266 651 267 657C280 705 306 767 319 808C322 818 318 822 309 822Z",
+        "advanceWidth": 0.599
+    },
+    "β": {
+        "d": "M53 1003C65 1003 127 1000 158 999C199 999 246 1003 291 1003C424 1003 517 974 517 871C517 794 452 764 397 757C393 757 393 751 397 750C451 741 491 708 491 649C491 574 422 547 292 547C235 547 201 555 163 555C121 555 103 547 51 547C40 547 31 553 31 561C31 567 39 575 49 579C84 592 89 595 89 624L89 932C89 958 79 966 53 972C41 975 35 983 35 989C35 997 41 1003 53 1003ZM273 747C255 747 239 736 239 724L239 615C239 596 262 587 282 587C326 587 351 604 351 669C351 712 329 747 273 747ZM286 957C261 957 239 937 239 915L239 811C239 789 269 789 275 789C339 789 358 832 358 873C358 924 334 957 286 957Z",
+        "advanceWidth": 0.56
+    },
+    "γ": {
+        "d": "M32 1001C62 1001 123 998 151 998C180 998 251 1001 280 1001C284 1001 288 996 288 988C288 977 283 974 277 972C239 957 231 953 231 930L231 634C231 611 245 601 268 601L299 601C358 601 364 620 383 677C386 689 393 691 402 691C408 691 412 684 412 673C412 648 409 597 408 559C408 550 401 544 391 544C377 544 363 551 301 551L151 551C123 551 64 547 35 547C28 547 22 553 22 561C22 567 26 574 36 576C71 584 80 595 80 624L80 932C80 959 71 963 33 972C27 973 21 979 21 989C21 996 29 1001 32 1001Z",
+        "advanceWidth": 0.426
+    },
+    "δ": {
+        "d": "M48 1005C70 1005 104 1000 131 1000L388 1000C415 1000 448 1005 469 1005C490 1005 503 985 499 972C490 948 475 916 464 889L321 539C317 530 315 526 307 526C301 526 290 530 273 542C260 552 212 585 193 597C188 623 182 638 168 666L44 912C30 940 18 960 18 981C18 993 27 1005 48 1005ZM106 947C96 947 92 941 98 929L223 677C228 666 231 668 234 676L332 930C337 942 333 947 322 947Z",
+        "advanceWidth": 0.518
+    },
+    "ε": {
+        "d": "M49 1003C75 1003 133 1000 162 1000C256 1000 377 1002 409 1002C422 1002 432 995 435 982C447 939 458 916 459 882C459 874 455 865 447 865C441 865 434 871 431 880C417 922 380 957 337 957L270 957C247 957 240 949 240 929L240 810C240 802 244 794 254 794C273 794 295 794 314 794C334 795 343 808 352 841C356 854 364 860 371 860C376 860 381 853 379 836C376 806 376 798 376 776C376 754 376 740 379 711C381 699 376 692 371 692C364 692 358 694 354 706C341 741 331 752 308 752L261 752C248 752 240 748 240 733L240 624C240 600 255 590 274 590L328 590C375 590 385 614 407 662C412 673 421 678 426 678C432 678 436 671 436 662C436 636 422 597 422 566C422 552 410 548 402 548C384 548 238 551 137 551C118 551 72 547 49 547C40 547 31 554 31 563C31 572 38 578 49 581C83 589 89 600 89 629L89 929C89 955 78 961 52 968C42 970 33 976 33 987C33 995 39 1003 49 1003Z",
+        "advanceWidth": 0.491
+    },
+    "ι": {
+        "d": "M52 1001C82 1001 136 998 165 998C193 998 257 1001 286 1001C293 1001 301 997 301 987C301 976 292 972 282 968C257 960 244 953 244 927L244 627C244 601 243 592 286 578C295 574 303 570 303 561C303 553 298 548 287 548C258 548 193 551 165 551C135 551 80 547 50 547C40 547 31 551 31 560C31 571 39 576 50 579C83 587 93 597 93 626L93 930C93 959 79 965 52 970C41 972 34 978 34 988C34 997 43 1001 52 1001Z",
+        "advanceWidth": 0.336
+    },
+    "κ": {
+        "d": "M51 1005C105 1005 132 996 161 996C191 996 231 1002 281 1002C293 1002 302 996 302 988C302 977 290 972 282 971C252 966 245 955 244 933C243 901 243 862 243 822C243 813 248 805 255 805C266 805 275 812 282 821L367 923C384 944 384 968 351 972C341 974 332 980 332 990C332 997 341 1002 348 1002C385 1002 400 998 448 998C495 998 555 1003 600 1003C624 1003 634 996 634 985C634 974 624 970 608 966C570 958 540 934 527 918L377 739C370 731 367 720 379 707C411 676 449 641 484 616C513 595 545 585 596 578C606 576 617 572 617 561C617 552 605 548 595 548C552 548 509 554 467 554C436 554 409 551 377 551C369 551 361 556 361 563C361 573 370 579 383 583C411 593 417 606 401 626C366 666 340 699 301 737C279 759 262 773 253 773C247 773 244 769 244 759L244 628C244 599 253 588 290 579C298 577 307 571 307 561C307 553 301 548 292 548C264 548 197 552 166 552C137 552 78 547 48 547C40 547 31 552 31 561C31 572 40 577 48 578C88 586 93 597 93 627L93 932C93 957 80 966 49 971C39 972 30 979 30 989C30 996 41 1005 51 1005Z",
+        "advanceWidth": 0.653
+    },
+    "λ": {
+        "d": "M24 1003C61 1003 78 999 106 999C138 999 163 1002 207 1002C215 1002 223 997 223 991C223 980 216 975 206 974C162 969 152 953 162 924L246 674C249 665 254 657 259 674L332 934C338 958 325 968 280 975C271 976 264 981 264 991C264 998 271 1004 280 1004C322 1004 383 998 415 998C449 998 502 1001 539 1001C544 1001 556 996 556 988C556 976 544 976 537 974C505 965 491 950 480 918L356 542C353 529 347 522 338 522C328 522 313 538 286 548C265 556 240 568 218 574C218 602 210 623 196 656L94 907C71 959 58 965 20 975C15 976 6 979 6 989C6 1001 15 1003 24 1003Z",
+        "advanceWidth": 0.562
+    },
+    "μ": {
+        "d": "M346 1005C353 1005 361 999 371 976L480 721C485 710 491 710 492 722C497 789 499 871 500 926C501 956 484 966 452 970C442 971 433 979 433 989C433 996 443 1001 451 1001C481 1001 542 998 573 998C601 998 670 1001 698 1001C706 1001 717 995 717 987C717 976 706 970 698 969C670 965 652 952 650 929C638 794 640 788 632 651C630 609 651 585 684 578C697 575 704 569 704 559C704 549 696 545 683 545C651 545 602 552 552 554L524 554C516 554 511 562 507 572C495 599 462 675 400 809C396 819 390 818 386 808L273 597C264 581 260 574 251 558C247 554 238 547 226 547C159 547 121 545 82 545C73 545 65 549 65 558C65 568 75 572 88 575C121 583 143 592 142 624C141 675 104 870 98 912C92 954 69 968 44 973C38 975 25 977 25 987C25 996 32 1001 41 1001C54 1001 105 999 142 999C173 999 170 1001 211 1001C219 1001 228 995 228 987C228 978 220 970 206 969C168 968 150 947 152 915C154 861 164 762 172 724C175 708 180 703 190 722C229 801 272 886 322 980C331 997 338 1005 346 1005Z",
+        "advanceWidth": 0.753
+    },
+    "ν": {
+        "d": "M503 1014C519 1014 531 994 531 957L544 628C546 594 558 582 594 576C602 574 612 569 612 560C612 553 604 547 594 547C560 547 547 550 519 550C486 550 484 547 431 547C424 547 414 551 414 559C414 570 424 574 432 576C479 589 488 602 489 637L494 814C494 820 492 826 489 826C485 826 479 818 476 815L251 564C245 556 238 549 225 549C172 549 70 546 51 546C37 546 30 550 30 558C30 567 37 570 49 574C82 584 109 604 109 644C109 749 102 882 97 929C95 958 71 968 49 973C40 975 33 979 33 989C33 996 41 1001 48 1001C69 1001 101 999 139 999C171 999 181 1001 222 1001C230 1001 239 996 239 988C239 976 228 971 220 969C174 958 159 949 156 918C153 865 150 756 150 693C150 686 151 676 155 676C159 676 165 682 174 693L412 965C445 1003 458 1014 503 1014Z",
+        "advanceWidth": 0.639
+    },
+    "ο": {
+        "d": "M310 1011C488 1011 584 894 584 770C584 634 458 542 316 542C145 542 45 658 45 782C45 917 169 1011 310 1011ZM319 967C245 967 205 881 205 763C205 660 240 585 308 585C382 585 424 673 424 787C424 888 391 967 319 967Z",
+        "advanceWidth": 0.629
+    },
+    "π": {
+        "d": "M34 1001C59 1001 117 998 145 998C173 998 236 1001 264 1001C269 1001 277 996 277 988C277 977 268 974 261 972C225 961 225 956 225 931L225 625C225 615 232 608 246 608L349 608C364 608 367 615 367 627L367 930C367 955 371 958 332 971C326 973 317 977 317 988C317 996 325 1001 329 1001C358 1001 415 998 443 998C472 998 530 1001 555 1001C562 1001 570 997 570 989C570 979 562 974 555 972C530 965 517 959 517 932L517 624C517 595 524 586 556 577C564 574 572 569 572 560C572 553 563 547 556 547C526 547 471 551 442 551L150 551C120 551 63 547 33 547C27 547 19 553 19 560C19 569 25 574 33 576C68 585 75 595 75 624L75 932C75 959 66 966 34 972C27 973 19 979 19 989C19 996 28 1001 34 1001Z",
+        "advanceWidth": 0.591
+    },
+    "ρ": {
+        "d": "M48 1001C79 1001 133 999 162 999C193 999 273 1001 302 1001C311 1001 319 995 319 984C319 973 311 968 303 967C259 960 243 950 243 932L244 621C244 594 265 581 288 581C324 581 354 620 354 709C354 782 335 815 310 815C303 815 294 812 284 812C278 812 269 815 269 826C269 840 285 849 312 849C427 849 497 784 497 686C497 588 424 544 293 544C222 544 205 553 167 553C137 553 77 547 46 547C39 547 31 553 31 562C31 571 36 578 46 580C81 587 93 591 93 615L93 928C93 952 84 961 48 967C41 968 32 973 32 985C32 997 41 1001 48 1001Z",
+        "advanceWidth": 0.538
+    },
+    "σ": {
+        "d": "M55 1007C68 1007 89 1001 124 1000L357 1000C378 1000 397 1003 418 1003C428 1003 434 996 436 987C442 964 465 901 476 868C480 854 482 836 469 836C458 836 452 848 437 863C425 877 402 889 368 889L209 890C200 890 195 884 200 879L340 755C359 739 352 729 345 722L235 615C226 606 222 597 239 597L337 597C376 597 402 606 425 673C431 687 436 692 444 692C451 692 455 684 455 673C455 643 447 593 439 555C437 544 433 538 424 538C418 538 412 541 404 544C392 548 375 554 342 554L134 554C104 554 67 548 40 548C27 548 22 556 22 565C22 567 28 580 38 590L211 768C218 776 220 784 213 792C110 913 36 966 36 986C36 997 43 1007 55 1007Z",
+        "advanceWidth": 0.503
+    },
+    "τ": {
+        "d": "M163 1001C193 1001 254 998 282 998C311 998 381 1001 410 1001C418 1001 427 996 427 988C427 977 418 973 410 971C377 964 362 954 362 932L362 616C362 603 374 588 391 588L423 588C447 588 469 615 482 661C487 680 495 686 505 686C518 687 523 664 523 657C523 627 516 610 516 536C516 527 512 520 503 520C496 520 488 526 477 531C459 539 433 548 394 548L170 548C139 548 126 543 114 535C103 528 96 519 87 519C76 519 67 524 65 540C51 651 35 658 35 674C35 682 45 686 50 686C67 686 83 657 91 646C110 620 137 588 166 588L188 588C203 588 211 594 211 615L211 932C211 958 200 962 163 970C154 972 144 976 144 988C144 995 155 1001 163 1001Z",
+        "advanceWidth": 0.554
+    },
+    "υ": {
+        "d": "M164 1001C195 1001 257 998 285 998C314 998 385 1001 414 1001C420 1001 427 996 427 988C427 977 417 973 411 972C377 965 364 959 364 935L364 782C364 694 395 590 468 590C496 590 516 610 537 625C541 627 544 628 547 628C554 628 559 621 559 610C559 596 551 584 540 574C533 568 496 534 446 534C351 534 303 604 292 661C292 668 287 666 286 661C280 611 233 534 125 534C83 534 45 559 32 568C24 574 14 584 14 596C14 608 19 610 27 610C30 610 34 609 38 607C60 593 78 590 103 590C180 590 214 701 214 795L214 936C214 963 201 966 165 972C157 973 149 979 149 989C149 997 158 1001 164 1001Z",
+        "advanceWidth": 0.574
+    },
+    "φ": {
+        "d": "M168 1004C198 1004 257 1000 285 1000C313 1000 375 1003 403 1003C410 1003 416 998 416 990C416 979 406 976 401 974C373 960 358 953 358 940L358 936C493 918 566 864 566 774C566 673 470 639 361 616C365 607 375 582 398 574C408 571 413 569 413 559C413 551 406 547 400 547C371 547 314 550 285 550C256 550 202 545 172 545C164 545 158 551 158 558C158 568 166 573 172 574C205 582 220 596 220 621L219 619C80 639 23 693 23 781C23 880 108 912 214 935L214 937C214 962 200 967 168 974C163 975 155 981 155 991C155 998 165 1004 168 1004ZM220 880C182 869 155 834 155 773C155 714 179 682 220 667ZM358 894L358 669C397 683 425 715 425 775C425 843 402 874 358 894Z",
+        "advanceWidth": 0.589
+    },
+    "ϊ": {
+        "d": "M269 458C311 458 344 424 344 386C344 346 311 314 269 314C230 314 198 346 198 386C198 424 230 458 269 458ZM75 458C116 458 150 424 150 386C150 346 116 314 75 314C36 314 4 346 4 386C4 424 36 458 75 458ZM52 1001C82 1001 136 998 165 998C193 998 257 1001 286 1001C293 1001 301 997 301 987C301 976 292 972 282 968C257 960 244 953 244 927L244 627C244 601 243 592 286 578C295 574 303 570 303 561C303 553 298 548 287 548C258 548 193 551 165 551C135 551 80 547 50 547C40 547 31 551 31 560C31 571 39 576 50 579C83 587 93 597 93 626L93 930C93 959 79 965 52 970C41 972 34 978 34 988C34 997 43 1001 52 1001Z",
+        "advanceWidth": 0.336
     }
 },
 
-  // Zodiac signs 0=Aries ... 11=Pisces
+  // Zodiac signs 0=Aries ... 11=Pisces, 12=Ophiuchus
   zodiac: {
     "0": {
         "d": "M500 1000L430 1000L430 512Q430 428 389.5000 382Q349 336 276 336L276 336Q232 336 197 357.5000Q162 379 142 415.5000Q122 452 122 499L122 499Q122 542 141 576Q160 610 192.5000 630Q225 650 265 650L265 650L265 710Q203 710 154.5000 683Q106 656 78.5000 608.5000Q51 561 51 499L51 499Q51 432 79 382Q107 332 158 303.5000Q209 275 276 275L276 275Q350 275 396 308Q442 341 465 413L465 413Q488 341 534.5000 308Q581 275 654 275L654 275Q721 275 771.5000 303.5000Q822 332 850.5000 382Q879 432 879 499L879 499Q879 561 851.5000 608.5000Q824 656 776 683Q728 710 665 710L665 710L665 650Q706 650 738.5000 630Q771 610 789.5000 576Q808 542 808 499L808 499Q808 452 788 415Q768 378 733.5000 357Q699 336 654 336L654 336Q581 336 540.5000 382.5000Q500 429 500 512L500 512L500 1000Z",
@@ -245,7 +357,41 @@ const Glyphs = {
     "11": {
         "d": "M164 1000L91 1000Q220 826 230 659L230 659L51 659L51 595L230 595Q218 423 90 248L90 248L164 248Q294 405 304 595L304 595L511 595Q523 401 651 248L651 248L725 248Q595 421 585 595L585 595L764 595L764 659L585 659Q596 827 724 1000L724 1000L651 1000Q520 847 511 659L511 659L304 659Q294 849 164 1000L164 1000Z",
         "advanceWidth": 0.815
+    },
+    "12": {
+        "d": "M365 1010L365 1010Q244 1010 182 937.5000Q120 865 120 746L120 746L120 603Q92 609 65 622.5000Q38 636 12 659L12 659L12 567Q38 544 65 531.5000Q92 519 120 514L120 514L120 286L210 286L210 514Q257 520 297 534.5000Q337 549 376 565L376 565Q411 579 446 592.5000Q481 606 520 611L520 611L520 286L610 286L610 611Q638 605 665 591.5000Q692 578 718 555L718 555L718 647Q692 670 665 682.5000Q638 695 610 700L610 700L610 746Q610 865 548 937.5000Q486 1010 365 1010ZM210 603L210 749Q210 835 249 882.5000Q288 930 365 930L365 930Q442 930 481 882.5000Q520 835 520 749L520 749L520 700Q473 694 433 679.5000Q393 665 354 649L354 649Q319 635 284 621.5000Q249 608 210 603L210 603Z",
+        "advanceWidth": 0.73
     }
 },
 
+  // Planet symbols (Noto Sans Symbols), keyed by name as in planets.js
+  planets: {
+    "mercury": {
+        "d": "M286 1052L232 1052L232 944L114 944L114 897L232 897L232 809Q181 802 140 773Q99 744 75 699.5000Q51 655 51 602L51 602Q51 546 81 497.5000Q111 449 160 422L160 422Q110 394 80.5000 345Q51 296 51 239L51 239L101 239Q101 282 122.5000 318Q144 354 180 375.5000Q216 397 259 397L259 397Q303 397 339 375.5000Q375 354 396 318Q417 282 417 239L417 239L467 239Q467 297 437.5000 346Q408 395 358 422L358 422Q408 449 437.5000 497Q467 545 467 602L467 602Q467 654 443 698.5000Q419 743 378.5000 772.5000Q338 802 286 809L286 809L286 897L404 897L404 944L286 944L286 1052ZM259 760L259 760Q302 760 338 738.5000Q374 717 395.5000 681Q417 645 417 602L417 602Q417 560 395.5000 525Q374 490 338 468.5000Q302 447 259 447L259 447Q216 447 180 468Q144 489 122.5000 524Q101 559 101 602L101 602Q101 644 122.5000 680Q144 716 180 738Q216 760 259 760Z",
+        "advanceWidth": 0.518
+    },
+    "venus": {
+        "d": "M286 1000L232 1000L232 892L114 892L114 845L232 845L232 757Q181 750 140 721Q99 692 75 647Q51 602 51 550L51 550Q51 494 79.5000 447.5000Q108 401 155.5000 373Q203 345 259 345L259 345Q316 345 363.5000 373Q411 401 439 447.5000Q467 494 467 550L467 550Q467 601 443 646Q419 691 378.5000 720.5000Q338 750 286 757L286 757L286 845L397 845L397 892L286 892L286 1000ZM259 708L259 708Q302 708 338 686.5000Q374 665 395.5000 629Q417 593 417 550L417 550Q417 508 395.5000 473Q374 438 338 416.5000Q302 395 259 395L259 395Q216 395 180 416.5000Q144 438 122.5000 473Q101 508 101 550L101 550Q101 593 122.5000 629Q144 665 180 686.5000Q216 708 259 708Z",
+        "advanceWidth": 0.518
+    },
+    "mars": {
+        "d": "M259 1000L259 1000Q203 1000 155.5000 972Q108 944 79.5000 896.5000Q51 849 51 792L51 792Q51 736 79.5000 689.5000Q108 643 155.5000 615Q203 587 259 587L259 587Q325 587 383 628L383 628L476 524L397 485L565 466L566 635L517 560L422 666Q467 721 467 792L467 792Q467 849 439 896.5000Q411 944 363.5000 972Q316 1000 259 1000ZM259 950L259 950Q302 950 338 928.5000Q374 907 395.5000 871Q417 835 417 792L417 792Q417 750 395.5000 714.5000Q374 679 338 658Q302 637 259 637L259 637Q216 637 180 658Q144 679 122.5000 714.5000Q101 750 101 792L101 792Q101 835 122.5000 871Q144 907 180 928.5000Q216 950 259 950Z",
+        "advanceWidth": 0.617
+    },
+    "jupiter": {
+        "d": "M628 1000L558 1000L558 814L56 814L56 750L104 750Q189 750 250.5000 719Q312 688 345.5000 633.5000Q379 579 379 511L379 511Q379 436 342.5000 397Q306 358 250 358L250 358Q195 358 158 395.5000Q121 433 121 499L121 499L51 499Q51 439 75 393Q99 347 144 320.5000Q189 294 250 294L250 294Q344 294 396.5000 352Q449 410 449 505L449 505Q449 548 436 593.5000Q423 639 393.5000 679.5000Q364 720 312 750L312 750L558 750L558 306L628 306L628 1000Z",
+        "advanceWidth": 0.679
+    },
+    "saturn": {
+        "d": "M197 1000L127 1000L127 392L51 392L51 338L127 338L127 240L197 240L197 338L382 338L382 392L197 392L197 483Q197 505 195.5000 523Q194 541 192 557L192 557L198 557Q223 517 267 495.5000Q311 474 366 474L366 474Q463 474 507 522.5000Q551 571 551 662L551 662Q551 709 521 778L521 778Q490 847 490 878L490 878Q490 909 502 943.5000Q514 978 528 1000L528 1000L452 1000Q438 978 427.5000 942Q417 906 417 874L417 874Q417 835 447 766L447 766Q478 694 478 662L478 662Q478 594 447 564.5000Q416 535 354 535L354 535Q275 535 236 584.5000Q197 634 197 742L197 742L197 1000Z",
+        "advanceWidth": 0.602
+    }
+},
+
+  // ℞ (EB Garamond Regular), marks a retrograde station
+  rx: {
+    "d": "M399 1021C411 1021 418 1015 430 1000L477 941C484 949 492 958 499 967C534 1010 580 1021 637 1021C662 1021 718 1015 718 986C718 978 713 975 703 975C656 975 623 973 588 942C565 921 544 900 526 880L612 772C619 763 610 744 599 744C588 744 581 745 574 754L499 849C456 798 424 747 385 688C381 682 380 677 385 675C440 647 503 597 503 507C503 398 424 343 278 343C220 343 201 348 163 348C122 348 119 347 65 347C48 347 36 350 36 358C36 367 46 376 69 378C126 384 130 398 130 474L130 900C130 949 107 967 57 976C34 980 24 985 24 994C24 1002 36 1005 53 1005C107 1005 132 998 183 998C221 998 227 1005 281 1005C298 1005 310 1002 310 994C310 985 300 980 277 976C227 967 210 933 210 890L210 714C210 702 214 693 225 694C243 696 275 701 304 715C324 725 336 736 347 754C392 827 422 870 451 908L393 981C377 1001 384 1021 399 1021ZM263 671C230 671 210 669 210 636C210 556 211 500 212 466C215 397 223 373 266 373C392 373 413 442 413 523C413 600 355 671 263 671Z",
+    "advanceWidth": 0.713
+},
+
 };
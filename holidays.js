@@ -0,0 +1,202 @@
+// holidays.js — Dates of lunisolar and lunar feasts, from Astro's events.
+// Depends on zone.js (TimeZone.utc), astro.js (Astro, AYANAMSAS, RADS) and
+// calendars.js (the Hebrew new year, the tabular Islamic month and the
+// Chinese months).
+//
+// Each family is one switch in the settings and one badge colour:
+//   easter     Easter, Gregorian computus (Meeus)
+//   orthodox   Orthodox Easter, Julian computus, as a Gregorian date
+//   passover   First day of Passover, 15 Nisan of the arithmetical Hebrew
+//              calendar (163 days before the next Rosh Hashanah)
+//   chinese    Lunar New Year (1st month, day 1) and the Mid-Autumn
+//              Festival (8th month, day 15, never the leap 8th) of the
+//              Chinese calendar in calendars.js, dated in China (UTC+8)
+//   islamic    1 Ramadan and Eid al-Fitr (1 Shawwal). The tabular calendar
+//              names the month; its first day follows the evening (18:00
+//              at Mecca, UTC+3) after the conjunction under the 'newMoon'
+//              rule, or the first evening the Moon is ISLAMIC_CRESCENT
+//              degrees from the Sun under the 'crescent' rule
+//   diwali     Lakshmi Puja, on the new moon that opens Kartika: the lunar
+//              month in which the Sun enters sidereal Scorpio (Lahiri). It is
+//              kept on the evening the amavasya tithi (the last 12° before
+//              the conjunction) covers at 19:12 in India (UTC+5:30)
+//   vesak      The full moon of Vaisakha, the lunar month in which the Sun
+//              enters sidereal Taurus, dated in India and Sri Lanka
+//
+// With the standard backend a new moon within minutes of midnight can land on
+// the neighbouring day; the precise one settles such cases.
+//
+//   forYear(year, islamicRule)   [{ family, name, short, year, month, day }]
+//                                civil dates (month 0-based) in the year
+//   on(parts, families, islamicRule)   Those falling on { year, month, day },
+//                                      restricted to the given families
+//
+// Registers one event kind with Astro: sankranti, the Sun entering a sign of
+// the Lahiri sidereal zodiac whatever zodiac the calendar shows.
+
+// Least elongation (degrees) at which the new crescent is taken as seen.
+const ISLAMIC_CRESCENT = 10;
+
+Astro.eventKinds.sankranti = {
+  step: 5 * 86400000,
+  index: (d) => Math.trunc(Astro.range(Astro.sunAngle(d) - (AYANAMSAS.lahiri + Astro.precession(d)) * RADS) / TPI * 12),
+};
+
+const Holidays = {
+  families: {
+    easter:   { name: 'Easter',                     color: '#7A3E9D' },
+    orthodox: { name: 'Orthodox Easter',            color: '#9D3E6E' },
+    passover: { name: 'Passover',                   color: '#1F5FA8' },
+    chinese:  { name: 'Lunar New Year, Mid-Autumn', color: '#C0392B' },
+    islamic:  { name: 'Ramadan, Eid al-Fitr',       color: '#1E7F4F' },
+    diwali:   { name: 'Diwali',                     color: '#D35400' },
+    vesak:    { name: 'Vesak',                      color: '#A07800' },
+  },
+
+  _cache: {},
+
+  forYear(year, islamicRule = 'crescent') {
+    const key = `${year}:${islamicRule}:${Astro.backend}`;
+    if (!this._cache[key]) {
+      const list = [
+        ...this._easter(year),
+        ...this._passover(year),
+        ...this._chinese(year),
+        ...this._islamic(year, islamicRule),
+        ...this._indian(year),
+      ];
+      this._cache[key] = list.filter(h => h.year === year);
+    }
+    return this._cache[key];
+  },
+
+  on(parts, families, islamicRule) {
+    return this.forYear(parts.year, islamicRule).filter(h =>
+      families.has(h.family) && h.month === parts.month && h.day === parts.day);
+  },
+
+  _easter(year) {
+    // Gregorian (Meeus ch. 8).
+    const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+    const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4), k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const n = h + l - 7 * m + 114;
+
+    // Julian, then moved onto the Gregorian calendar.
+    const ja = year % 4, jb = year % 7, jc = year % 19;
+    const jd = (19 * jc + 15) % 30;
+    const je = (2 * ja + 4 * jb - jd + 34) % 7;
+    const jn = jd + je + 114;
+    const shift = Math.floor(year / 100) - Math.floor(year / 400) - 2;
+
+    return [
+      this._day('easter',   'Easter', 'Easter', new Date(TimeZone.utc(year, Math.floor(n / 31) - 1, n % 31 + 1))),
+      this._day('orthodox', 'Orthodox Easter', 'Pascha', new Date(TimeZone.utc(year, Math.floor(jn / 31) - 1, jn % 31 + 1 + shift))),
+    ];
+  },
+
+  _passover(year) {
+    const nisan15 = Calendars.hebrew.newYear(year + 3761) - 163;
+    return [this._day('passover', 'Passover', 'Pesach', this._fromJd(nisan15))];
+  },
+
+  // Months from the one holding the December solstice before year: month 1
+  // and the (non-leap) month 8 both fall inside.
+  _chinese(year) {
+    const result = [];
+    for (const m of Calendars.chinese._months(year - 1)) {
+      if (m.leap) continue;
+      if (m.number === 1) {
+        result.push(this._day('chinese', 'Lunar New Year', 'New Year', new Date(m.start)));
+      } else if (m.number === 8) {
+        result.push(this._day('chinese', 'Mid-Autumn Festival', 'Mid-Autumn', new Date(m.start + 14 * 86400000)));
+      }
+    }
+    return result;
+  },
+
+  _islamic(year, rule) {
+    const mecca  = 3;
+    const result = [];
+    const moons  = this._newMoons(TimeZone.utc(year - 1, 11, 1), TimeZone.utc(year + 1, 0, 1));
+    for (const moon of moons) {
+      // Half a month in, the tabular calendar is in the same month.
+      const month = Calendars.islamic.fromJd(moon.date.getTime() / 86400000 + 2440587.5 + 15).month;
+      if (month !== 9 && month !== 10) continue;
+
+      // Evenings at Mecca from the day of the conjunction on.
+      const day0 = this._shift(moon.date, mecca).getTime();
+      let evening = day0 + 15 * 3600000;
+      while (evening < moon.date.getTime() ||
+             (rule === 'crescent' && Astro.phase(new Date(evening)) < ISLAMIC_CRESCENT)) {
+        evening += 86400000;
+      }
+      const first = new Date(this._shift(new Date(evening), mecca).getTime() + 86400000);
+      result.push(month === 9
+        ? this._day('islamic', 'Ramadan begins', 'Ramadan', first)
+        : this._day('islamic', 'Eid al-Fitr',    'Eid',     first));
+    }
+    return result;
+  },
+
+  _indian(year) {
+    const ist    = 5.5;
+    const result = [];
+    const moons  = this._newMoons(TimeZone.utc(year, 2, 1), TimeZone.utc(year + 1, 0, 15));
+
+    // Vaisakha opens with the new moon before the Sun enters sidereal Taurus.
+    const taurus = this._events('sankranti', TimeZone.utc(year, 3, 15), TimeZone.utc(year, 5, 15), 1)[0];
+    const start  = moons[this._lastOnOrBefore(moons, taurus.date)];
+    const full   = this._events('phase', start.date.getTime(), start.date.getTime() + 20 * 86400000, 2)[0];
+    result.push(this._day('vesak', 'Vesak', 'Vesak', this._shift(full.date, ist)));
+
+    // Kartika likewise before the Sun enters sidereal Scorpio; Diwali is the
+    // evening at 19:12 inside the tithi, the last day before the conjunction
+    // where possible.
+    const scorpio = this._events('sankranti', TimeZone.utc(year, 9, 15), TimeZone.utc(year, 11, 15), 7)[0];
+    const amavasya = moons[this._lastOnOrBefore(moons, scorpio.date)].date;
+    const day      = this._shift(amavasya, ist).getTime();
+    const pradosh  = (d) => d + (19.2 - ist) * 3600000;
+    let   diwali   = pradosh(day) <= amavasya.getTime() ? day : day - 86400000;
+    if (Astro.phase(new Date(pradosh(diwali))) < 348 && diwali < day) diwali = day;
+    result.push(this._day('diwali', 'Diwali', 'Diwali', new Date(diwali)));
+
+    return result;
+  },
+
+  // ── Helpers ───────────────────────────────────────────────────────────────
+
+  _events(kind, fromMs, toMs, index) {
+    return Astro.findEvents(new Date(fromMs), new Date(toMs), [kind]).filter(e => e.index === index);
+  },
+
+  _newMoons(fromMs, toMs) {
+    return this._events('phase', fromMs, toMs, 0);
+  },
+
+  // Index of the last new moon on or before date, or −1.
+  _lastOnOrBefore(moons, date) {
+    let found = -1;
+    moons.forEach((m, i) => { if (m.date.getTime() <= date.getTime()) found = i; });
+    return found;
+  },
+
+  // The civil date at a UTC offset (hours), as midnight UTC of that date.
+  _shift(date, offset) {
+    const d = new Date(date.getTime() + offset * 3600000);
+    return new Date(TimeZone.utc(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  },
+
+  _fromJd(jd) {
+    return new Date(Math.round((jd - 2440587.5) * 86400000));
+  },
+
+  _day(family, name, short, utcMidnight) {
+    return { family, name, short,
+      year: utcMidnight.getUTCFullYear(), month: utcMidnight.getUTCMonth(), day: utcMidnight.getUTCDate() };
+  },
+};
@@ -0,0 +1,124 @@
+// locale.js — Month, season, sign and moon-phase names, and the week rule.
+// No dependencies; extract-glyphs.js loads it too, to extract the small
+// capitals every month abbreviation needs.
+//
+// Each locale gives
+//   months     Abbreviations drawn in small caps on the first of the month
+//              (and in the date-range header); every letter must have a
+//              small-cap glyph, so add new ones here and rerun extract-glyphs.js
+//   seasons    Spring, Summer, Autumn, Winter (season 0 = from the March equinox)
+//   signs      0 = Aries … 11 = Pisces, 12 = Ophiuchus
+//   phases     Moon phase by octant (Astro.moonPhase_().p), 0 = new
+//   weekStart  First day of the week, 0 = Sunday
+//   minDays    Days of the new year the first week must hold (1 US, 4 ISO 8601)
+//   redDays    Weekdays whose dates are drawn in the theme's red-day colour
+//
+//   localeFor(setting)   The locale for a key of LOCALES, or for 'auto' the
+//                        browser's first language we have names for, with the
+//                        week rule of the browser's region where Intl knows it
+//   weekOfYear(parts, locale)   Week number of { year, month, day, weekday }
+
+const LOCALES = {
+  en: {
+    tag:       'en',
+    months:    ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'],
+    seasons:   ['Spring', 'Summer', 'Autumn', 'Winter'],
+    signs:     ['Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo', 'Libra', 'Scorpio',
+                'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces', 'Ophiuchus'],
+    phases:    ['New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+                'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'],
+    weekStart: 0,
+    minDays:   1,
+    redDays:   [0],
+  },
+
+  fr: {
+    tag:       'fr',
+    months:    ['janv','févr','mars','avr','mai','juin','juil','août','sept','oct','nov','déc'],
+    seasons:   ['Printemps', 'Été', 'Automne', 'Hiver'],
+    signs:     ['Bélier', 'Taureau', 'Gémeaux', 'Cancer', 'Lion', 'Vierge', 'Balance', 'Scorpion',
+                'Sagittaire', 'Capricorne', 'Verseau', 'Poissons', 'Serpentaire'],
+    phases:    ['Nouvelle lune', 'Premier croissant', 'Premier quartier', 'Gibbeuse croissante',
+                'Pleine lune', 'Gibbeuse décroissante', 'Dernier quartier', 'Dernier croissant'],
+    weekStart: 1,
+    minDays:   4,
+    redDays:   [0],
+  },
+
+  de: {
+    tag:       'de',
+    months:    ['Jan','Feb','Mär','Apr','Mai','Jun','Jul','Aug','Sep','Okt','Nov','Dez'],
+    seasons:   ['Frühling', 'Sommer', 'Herbst', 'Winter'],
+    signs:     ['Widder', 'Stier', 'Zwillinge', 'Krebs', 'Löwe', 'Jungfrau', 'Waage', 'Skorpion',
+                'Schütze', 'Steinbock', 'Wassermann', 'Fische', 'Schlangenträger'],
+    phases:    ['Neumond', 'Zunehmende Sichel', 'Erstes Viertel', 'Zunehmender Mond',
+                'Vollmond', 'Abnehmender Mond', 'Letztes Viertel', 'Abnehmende Sichel'],
+    weekStart: 1,
+    minDays:   4,
+    redDays:   [0],
+  },
+
+  es: {
+    tag:       'es',
+    months:    ['ene','feb','mar','abr','may','jun','jul','ago','sept','oct','nov','dic'],
+    seasons:   ['Primavera', 'Verano', 'Otoño', 'Invierno'],
+    signs:     ['Aries', 'Tauro', 'Géminis', 'Cáncer', 'Leo', 'Virgo', 'Libra', 'Escorpio',
+                'Sagitario', 'Capricornio', 'Acuario', 'Piscis', 'Ofiuco'],
+    phases:    ['Luna nueva', 'Luna creciente', 'Cuarto creciente', 'Gibosa creciente',
+                'Luna llena', 'Gibosa menguante', 'Cuarto menguante', 'Luna menguante'],
+    weekStart: 1,
+    minDays:   4,
+    redDays:   [0],
+  },
+
+  // Month abbreviations without the tonos, as Greek capitals are set.
+  el: {
+    tag:       'el',
+    months:    ['Ιαν','Φεβ','Μαρ','Απρ','Μαϊ','Ιουν','Ιουλ','Αυγ','Σεπ','Οκτ','Νοε','Δεκ'],
+    seasons:   ['Άνοιξη', 'Καλοκαίρι', 'Φθινόπωρο', 'Χειμώνας'],
+    signs:     ['Κριός', 'Ταύρος', 'Δίδυμοι', 'Καρκίνος', 'Λέων', 'Παρθένος', 'Ζυγός', 'Σκορπιός',
+                'Τοξότης', 'Αιγόκερως', 'Υδροχόος', 'Ιχθύες', 'Οφιούχος'],
+    phases:    ['Νέα Σελήνη', 'Αύξων μηνίσκος', 'Πρώτο τέταρτο', 'Αύξουσα αμφίκυρτη',
+                'Πανσέληνος', 'Φθίνουσα αμφίκυρτη', 'Τελευταίο τέταρτο', 'Φθίνων μηνίσκος'],
+    weekStart: 1,
+    minDays:   4,
+    redDays:   [0],
+  },
+};
+
+function localeFor(setting) {
+  if (setting !== 'auto') return LOCALES[setting] || LOCALES.en;
+
+  const tags = (typeof navigator !== 'undefined' && navigator.languages) || [];
+  const tag  = tags.find(t => LOCALES[t.split('-')[0].toLowerCase()]);
+  if (!tag) return LOCALES.en;
+  const base = LOCALES[tag.split('-')[0].toLowerCase()];
+
+  // Intl.Locale week info (firstDay 1 = Monday … 7 = Sunday). The red day is
+  // Sunday where it is part of the weekend, else the weekend's last day.
+  let info = null;
+  try {
+    const loc = new Intl.Locale(tag);
+    info = loc.getWeekInfo ? loc.getWeekInfo() : loc.weekInfo;
+  } catch (e) { /* no Intl.Locale */ }
+  if (!info) return { ...base, tag };
+  const weekend = info.weekend || [6, 7];
+  return {
+    ...base,
+    tag,
+    weekStart: info.firstDay % 7,
+    minDays:   info.minimalDays || base.minDays,
+    redDays:   [weekend.includes(7) ? 0 : weekend[weekend.length - 1] % 7],
+  };
+}
+
+// A week belongs to the year holding its (7 − minDays)th day after the
+// start: the Thursday for ISO 8601, the Saturday for the US rule.
+function weekOfYear(parts, locale) {
+  const day    = 86400000;
+  // Date.UTC would read years 0–99 as 1900–1999.
+  const utc    = (y, m, d) => { const t = new Date(0); t.setUTCFullYear(y, m, d); return t.getTime(); };
+  const start  = utc(parts.year, parts.month, parts.day) - ((parts.weekday - locale.weekStart + 7) % 7) * day;
+  const anchor = new Date(start + (7 - locale.minDays) * day);
+  return Math.floor((anchor - utc(anchor.getUTCFullYear(), 0, 1)) / (7 * day)) + 1;
+}
@@ -0,0 +1,117 @@
+// planets.js — Geocentric positions of Mercury through Saturn.
+// Depends on astro.js (Astro, RADS) and ephemeris.js (dynamical time).
+//
+// Keplerian elements and their rates from JPL's "Approximate Positions of the
+// Planets" (Standish, table 1, valid 1800–2050), referred to the J2000
+// ecliptic. Each planet and the Earth–Moon barycentre are placed on their
+// ellipses; the difference is the planet as seen from Earth, and general
+// precession brings the longitude to the equinox of date. Light time and
+// aberration are ignored. Longitudes are good to a few arcminutes, which puts
+// ingresses within minutes to hours and stations within about a day — the
+// planet is barely moving then.
+//
+// Registers two event kinds per planet with Astro (see Astro.eventKinds):
+//   station:<planet>   0 = direct, 1 = retrograde
+//   ingress:<planet>   sign entered, numbered like the Sun's ingress
+// and one more kind per planet for the Moon's aspects to it,
+//   lunarAspect:<planet>, which void-of-course spans also end on.
+
+//            a (AU)       e            I (°)        L (°)           ϖ (°)          Ω (°)
+const PLANET_ELEMENTS = {
+  mercury: [[ 0.38709927,  0.20563593,  7.00497902,  252.25032350,   77.45779628,  48.33076593],
+            [ 0.00000037,  0.00001906, -0.00594749, 149472.67411175,  0.16047689,  -0.12534081]],
+  venus:   [[ 0.72333566,  0.00677672,  3.39467605,  181.97909950,  131.60246718,  76.67984255],
+            [ 0.00000390, -0.00004107, -0.00078890,  58517.81538729,  0.00268329,  -0.27769418]],
+  earth:   [[ 1.00000261,  0.01671123, -0.00001531,  100.46457166,  102.93768193,   0.0       ],
+            [ 0.00000562, -0.00004392, -0.01294668,  35999.37244981,  0.32327364,   0.0       ]],
+  mars:    [[ 1.52371034,  0.09339410,  1.84969142,   -4.55343205,  -23.94362959,  49.55953891],
+            [ 0.00001847,  0.00007882, -0.00813131,  19140.30268499,  0.44441088,  -0.29257343]],
+  jupiter: [[ 5.20288700,  0.04838624,  1.30439695,   34.39644051,   14.72847983, 100.47390909],
+            [-0.00011607, -0.00013253, -0.00183714,   3034.74612775,  0.21252668,   0.20469106]],
+  saturn:  [[ 9.53667594,  0.05386179,  2.48599187,   49.95424423,   92.59887831, 113.66242448],
+            [-0.00125060, -0.00050991,  0.00193609,   1222.49362201, -0.41897216,  -0.28867794]],
+};
+
+const Planets = {
+  // In order from the Sun; also the overlay's lane order, bottom up.
+  names: ['mercury', 'venus', 'mars', 'jupiter', 'saturn'],
+
+  colors: {
+    mercury: '#8A8D91',
+    venus:   '#E0A800',
+    mars:    '#D9381E',
+    jupiter: '#B5651D',
+    saturn:  '#6A5ACD',
+  },
+
+  // Heliocentric ecliptic position { x, y, z } (AU, J2000 ecliptic) of a
+  // body in PLANET_ELEMENTS at T Julian centuries of TT from J2000.
+  heliocentric(name, T) {
+    const [base, rate] = PLANET_ELEMENTS[name];
+    const [a, e, I, L, peri, node] = base.map((v, i) => v + rate[i] * T);
+    const w = (peri - node) * RADS;
+    const O = node * RADS;
+    const i = I * RADS;
+    const M = ((L - peri) % 360 + 540) % 360 - 180;
+
+    // Kepler's equation by Newton's method, in degrees (e* = e in degrees).
+    const eDeg = e / RADS;
+    let E = M + eDeg * Math.sin(M * RADS);
+    for (let n = 0; n < 8; n++) {
+      const dE = (M - (E - eDeg * Math.sin(E * RADS))) / (1 - e * Math.cos(E * RADS));
+      E += dE;
+      if (Math.abs(dE) < 1e-7) break;
+    }
+
+    const xp = a * (Math.cos(E * RADS) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E * RADS);
+    const cw = Math.cos(w), sw = Math.sin(w);
+    const cO = Math.cos(O), sO = Math.sin(O);
+    const ci = Math.cos(i), si = Math.sin(i);
+    return {
+      x: (cw * cO - sw * sO * ci) * xp + (-sw * cO - cw * sO * ci) * yp,
+      y: (cw * sO + sw * cO * ci) * xp + (-sw * sO + cw * cO * ci) * yp,
+      z: (sw * si) * xp + (cw * si) * yp,
+    };
+  },
+
+  // Geocentric ecliptic longitude (radians, equinox of date).
+  longitude(name, date) {
+    const T = Ephemeris.centuries(date);
+    const p = this.heliocentric(name, T);
+    const e = this.heliocentric('earth', T);
+    const lon = Math.atan2(p.y - e.y, p.x - e.x) / RADS + Astro.precession(date);
+    return Astro.range(lon * RADS);
+  },
+
+  // Sign of the planet, in the selected zodiac.
+  sign(name, date) {
+    return Astro.signOf(this.longitude(name, date), date);
+  },
+
+  // 1 while retrograde (longitude falling), else 0, from the longitude
+  // twelve hours either side.
+  retrograde(name, date) {
+    const t  = date.getTime();
+    const l0 = this.longitude(name, new Date(t - 43200000));
+    const l1 = this.longitude(name, new Date(t + 43200000));
+    return Math.sin(l1 - l0) < 0 ? 1 : 0;
+  },
+
+  // Index into ASPECT_ANGLES of the Moon's last aspect to the planet.
+  lunarAspect(name, date) {
+    const el = (Astro.moonAngle(date) - this.longitude(name, date)) / RADS;
+    return Astro.aspectIndex((el % 360 + 360) % 360);
+  },
+};
+
+// Retrograde spells last at least three weeks (Mercury) and direct ones
+// months; Mercury can change sign within two weeks and, in constellation mode,
+// cross Scorpius in under four days; the Moon makes an aspect at most every
+// couple of days.
+for (const name of Planets.names) {
+  Astro.eventKinds['station:' + name]     = { step: 3 * 86400000, index: (d) => Planets.retrograde(name, d) };
+  Astro.eventKinds['ingress:' + name]     = { step:     86400000, index: (d) => Planets.sign(name, d) };
+  Astro.eventKinds['lunarAspect:' + name] = { step:     86400000, index: (d) => Planets.lunarAspect(name, d) };
+  Astro.aspectKinds.push('lunarAspect:' + name);
+}
@@ -0,0 +1,109 @@
+// themes.js — Colour themes for the grid, the page, the print-out and the icon.
+// No dependencies; analemma-icon/gen-analemma.js loads it too.
+//
+// Each theme gives
+//   signs        Cell fill by sign: 0 = Aries … 11 = Pisces, 12 = Ophiuchus
+//   outline      Cell outlines, new-moon-week bars and phase ticks
+//   hatch        Void-of-course hatching in the moon sign band
+//   label        Dates, month names and sign glyphs
+//   redDay       Dates on the locale's red days (Sundays)
+//   background   Behind the grid on screen
+//   header       Header bar { fill, ink }
+//   paper        Printed page { fill, ink }
+//   divider      Season dividers { stroke, dash (px), label }
+
+const THEMES = {
+  light: {
+    signs: [
+      '#99FFCC',  // 0  Aries
+      '#99FF99',  // 1  Taurus
+      '#CCFF99',  // 2  Gemini
+      '#FFFF99',  // 3  Cancer
+      '#FFCC99',  // 4  Leo
+      '#FF9999',  // 5  Virgo
+      '#FF99CC',  // 6  Libra
+      '#FF99FF',  // 7  Scorpio
+      '#CCCCFF',  // 8  Sagittarius
+      '#99CCFF',  // 9  Capricorn
+      '#66CCFF',  // 10 Aquarius
+      '#66FFFF',  // 11 Pisces
+      '#DDAAFF',  // 12 Ophiuchus (constellation mode only)
+    ],
+    outline:    'black',
+    hatch:      'rgba(0, 0, 0, 0.6)',
+    label:      'black',
+    redDay:     'red',
+    background: '#999',
+    header:     { fill: '#888', ink: '#222' },
+    paper:      { fill: '#fff', ink: '#000' },
+    divider:    { stroke: 'rgba(0, 0, 0, 0.3)', dash: [8, 6], label: 'rgba(40, 40, 40, 0.7)' },
+  },
+
+  // The light palette's hues, deepened so light labels read over them.
+  dark: {
+    signs: [
+      '#1F5C45', '#2A5C2A', '#4A5C22',
+      '#5C5A1F', '#5C4020', '#5C2828',
+      '#5C2540', '#55245C', '#3A3A66',
+      '#24486B', '#1C4E6E', '#1C5A5E',
+      '#46305C',
+    ],
+    outline:    '#9AA0A8',
+    hatch:      'rgba(255, 255, 255, 0.5)',
+    label:      '#E8E8E8',
+    redDay:     '#FF7A7A',
+    background: '#15171B',
+    header:     { fill: '#24272D', ink: '#DDD' },
+    paper:      { fill: '#15171B', ink: '#EEE' },
+    divider:    { stroke: 'rgba(255, 255, 255, 0.3)', dash: [8, 6], label: 'rgba(220, 220, 220, 0.7)' },
+  },
+
+  // Safe for deuteranopia and protanopia: no red–green contrasts. Each
+  // season keeps one hue (yellow, orange, purple, blue, after Okabe & Ito)
+  // and its three signs step from light to deep; red days are blue.
+  colorblind: {
+    signs: [
+      '#FFF3A0', '#F9E07A', '#F0C850',
+      '#FFD9A8', '#FFBF80', '#F2A65A',
+      '#E8C8F0', '#D6A8E6', '#C48ED8',
+      '#BFE0FA', '#94C8F0', '#6FB0E6',
+      '#D0D0D0',
+    ],
+    outline:    'black',
+    hatch:      'rgba(0, 0, 0, 0.6)',
+    label:      'black',
+    redDay:     '#0050A0',
+    background: '#999',
+    header:     { fill: '#888', ink: '#222' },
+    paper:      { fill: '#fff', ink: '#000' },
+    divider:    { stroke: 'rgba(0, 0, 0, 0.4)', dash: [8, 6], label: 'rgba(40, 40, 40, 0.8)' },
+  },
+
+  // Fire reds, earth greens, air yellows and water blues, light for the
+  // cardinal signs, deeper for the fixed and deepest for the mutable ones.
+  elements: {
+    signs: [
+      '#FFB3A0',  // Aries        fire  cardinal
+      '#B0D88A',  // Taurus       earth fixed
+      '#FFE066',  // Gemini       air   mutable
+      '#A8D8FF',  // Cancer       water cardinal
+      '#FF9A80',  // Leo          fire  fixed
+      '#98C874',  // Virgo        earth mutable
+      '#FFF5A8',  // Libra        air   cardinal
+      '#8AC4F5',  // Scorpio      water fixed
+      '#FF8266',  // Sagittarius  fire  mutable
+      '#C8E6A0',  // Capricorn    earth cardinal
+      '#FFEC85',  // Aquarius     air   fixed
+      '#6EB0EB',  // Pisces       water mutable
+      '#DDAAFF',  // Ophiuchus
+    ],
+    outline:    'black',
+    hatch:      'rgba(0, 0, 0, 0.6)',
+    label:      'black',
+    redDay:     'red',
+    background: '#999',
+    header:     { fill: '#888', ink: '#222' },
+    paper:      { fill: '#fff', ink: '#000' },
+    divider:    { stroke: 'rgba(0, 0, 0, 0.3)', dash: [3, 5], label: 'rgba(40, 40, 40, 0.7)' },
+  },
+};
@@ -0,0 +1,64 @@
+// timeline.js — Precomputed astronomical events for a span of days.
+// Depends on astro.js (Astro.findEvents, Astro.eventKinds).
+//
+// A season used to be built by asking Astro for the sign, phase and season
+// of every day several times over, plus a bisection for every split or
+// phase start. A Timeline scans the whole span once per event kind with
+// Astro.findEvents() and keeps the sorted event list; CalendarDate then
+// looks everything up with a binary search.
+//
+// Kinds are scanned lazily, on the first question about them, so optional
+// overlays that need extra kinds cost nothing until they are switched on.
+//
+//   stateAt(kind, date)       State (e.g. sign index) in force at date.
+//   between(kind, from, to)   Events of that kind in [from, to).
+//   covers(from, to)          Whether [from, to] lies inside the span; callers
+//                             fall back to asking Astro directly when not.
+
+class Timeline {
+  constructor(from, to) {
+    this.from    = from;
+    this.to      = to;
+    this._events = {};   // kind → [{ kind, index, date }] sorted by date
+    this._start  = {};   // kind → state at this.from
+  }
+
+  covers(from, to) {
+    return from >= this.from && to < this.to;
+  }
+
+  events(kind) {
+    if (!this._events[kind]) {
+      this._start[kind]  = Astro.eventKinds[kind].index(this.from);
+      this._events[kind] = Astro.findEvents(this.from, this.to, [kind]);
+    }
+    return this._events[kind];
+  }
+
+  stateAt(kind, date) {
+    const list = this.events(kind);
+    const i    = this._lastAtOrBefore(list, date.getTime());
+    return i < 0 ? this._start[kind] : list[i].index;
+  }
+
+  between(kind, from, to) {
+    const list = this.events(kind);
+    const out  = [];
+    for (let i = this._lastAtOrBefore(list, from.getTime() - 1) + 1; i < list.length; i++) {
+      if (list[i].date >= to) break;
+      out.push(list[i]);
+    }
+    return out;
+  }
+
+  // Index of the last event with date ≤ ms, or −1.
+  _lastAtOrBefore(list, ms) {
+    let lo = 0, hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].date.getTime() <= ms) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo - 1;
+  }
+}
@@ -0,0 +1,153 @@
+// wheel.js — Year wheel: the same days as the season grid, drawn around a circle.
+// Depends on astro.js (Astro, RADS, TPI) and calendarDate.js (LAYOUTS, _signColor,
+// _theme, the glyph renderers and _drawEclipse).
+//
+// The angle is the Sun's tropical longitude, so each tropical sign is a 30°
+// wedge and the equinoxes and solstices sit at the cardinal points: 0° Aries
+// at the left, the signs running counter-clockwise and Cancer at the bottom,
+// as on a horoscope chart. Each lunation (new moon to new moon, the breaks of
+// LAYOUTS.lunations) is one ring, WHEEL_RING further out than the last, so a
+// year of them spirals outward from the hole in the middle. A day is the
+// annular segment between the Sun's longitudes at its two midnights (its two
+// sunsets under dayBoundary 'sunset').
+//
+//   build(days)                 { sectors, signs, radius } for a run of
+//                               CalendarDates; radius includes the sign ring
+//   render(ctx, wheel, cx, cy)  Draw it centred at (cx, cy), world units
+//   dayAt(wheel, cx, cy, px, py)   The CalendarDate whose sector holds the
+//                               world point (px, py), or null
+
+// Radius of the empty centre, and the width of each lunation's ring.
+const WHEEL_HOLE = 4;
+const WHEEL_RING = 0.6;
+
+// Canvas angle (radians, y down) of an ecliptic longitude (radians).
+function _wheelAngle(lon) {
+  return Math.PI - lon;
+}
+
+// Annular sector path between canvas angles a0 > a1 (counter-clockwise from
+// a0 on screen) and radii r0 < r1.
+function _sector(ctx, cx, cy, a0, a1, r0, r1) {
+  ctx.beginPath();
+  ctx.arc(cx, cy, r1, a0, a1, true);
+  ctx.arc(cx, cy, r0, a1, a0, false);
+  ctx.closePath();
+}
+
+const Wheel = {
+  build(days) {
+    const sectors = [];
+    const signs   = [];   // runs of days in one sign: { sign, a0, a1 }
+    let ring = 0;
+    let lon  = Astro.sunAngle(days[0].dayStart);
+
+    days.forEach((day, i) => {
+      if (i > 0 && LAYOUTS.lunations.breaks(days[i - 1], day)) ring++;
+      const next = Astro.sunAngle(day.dayEnd);
+      const a0   = _wheelAngle(lon);
+      const a1   = a0 - Astro.range(next - lon);
+      sectors.push({ day, a0, a1, r0: WHEEL_HOLE + ring * WHEEL_RING, r1: WHEEL_HOLE + (ring + 1) * WHEEL_RING });
+      lon = next;
+
+      const run = signs[signs.length - 1];
+      if (run && run.sign === day.mTropicalPhase) run.a1 = a1;
+      else signs.push({ sign: day.mTropicalPhase, a0, a1 });
+    });
+
+    return { sectors, signs, radius: WHEEL_HOLE + (ring + 1) * WHEEL_RING + 0.8 };
+  },
+
+  render(ctx, wheel, cx, cy) {
+    const outer = wheel.radius - 0.8;
+
+    // Equinox and solstice spokes.
+    ctx.save();
+    ctx.strokeStyle = _theme().divider.stroke;
+    ctx.lineWidth   = 1 / 48;
+    ctx.beginPath();
+    for (let q = 0; q < 4; q++) {
+      const a = q * Math.PI / 2;
+      ctx.moveTo(cx + Math.cos(a) * WHEEL_HOLE * 0.7, cy + Math.sin(a) * WHEEL_HOLE * 0.7);
+      ctx.lineTo(cx + Math.cos(a) * (outer + 0.15),   cy + Math.sin(a) * (outer + 0.15));
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    for (const s of wheel.sectors) this._renderDay(ctx, s, cx, cy);
+
+    // Sign glyphs outside the spiral, centred on each run of days.
+    ctx.fillStyle = _theme().label;
+    for (const run of wheel.signs) {
+      const a = (run.a0 + run.a1) / 2;
+      _drawZodiacPath(ctx, run.sign, cx + Math.cos(a) * (outer + 0.4), cy + Math.sin(a) * (outer + 0.4), 0.5);
+    }
+  },
+
+  dayAt(wheel, cx, cy, px, py) {
+    const r = Math.hypot(px - cx, py - cy);
+    const a = Math.atan2(py - cy, px - cx);
+    const s = wheel.sectors.find(s => r >= s.r0 && r < s.r1 &&
+      ((s.a0 - a) % TPI + TPI) % TPI < s.a0 - s.a1);
+    return s ? s.day : null;
+  },
+
+  // One day's sector: fill (split at a sign change), outline, phase tick,
+  // eclipse and a label running along the radius.
+  _renderDay(ctx, s, cx, cy) {
+    const day = s.day;
+    const at  = (t) => s.a0 + (s.a1 - s.a0) * t;
+
+    if (splitDays && day.mSplitFraction !== null) {
+      _sector(ctx, cx, cy, s.a0, at(day.mSplitFraction), s.r0, s.r1);
+      ctx.fillStyle = _signColor(day.mSignStart);
+      ctx.fill();
+      _sector(ctx, cx, cy, at(day.mSplitFraction), s.a1, s.r0, s.r1);
+    } else {
+      _sector(ctx, cx, cy, s.a0, s.a1, s.r0, s.r1);
+    }
+    ctx.fillStyle = _signColor(splitDays && day.mSplitFraction !== null ? day.mSignEnd : day.mTropicalPhase);
+    ctx.fill();
+
+    _sector(ctx, cx, cy, s.a0, s.a1, s.r0, s.r1);
+    ctx.strokeStyle = _theme().outline;
+    ctx.lineWidth = 1 / 96;
+    ctx.stroke();
+
+    if (phaseTicks && day.mIsPhaseStart) {
+      const a = at(day.mPhaseFraction);
+      ctx.beginPath();
+      ctx.moveTo(cx + Math.cos(a) * s.r0,           cy + Math.sin(a) * s.r0);
+      ctx.lineTo(cx + Math.cos(a) * (s.r0 + 0.2),   cy + Math.sin(a) * (s.r0 + 0.2));
+      ctx.strokeStyle = _theme().outline;
+      ctx.lineWidth = 1 / 32;
+      ctx.stroke();
+    }
+
+    const mid  = at(0.5);
+    const rMid = (s.r0 + s.r1) / 2;
+    const arc  = rMid * (s.a0 - s.a1);
+
+    if (showEclipses && day.mEclipse) {
+      const t = Math.min(1, Math.max(0, day._frac(day.mEclipse.date)));
+      const a = at(t);
+      _drawEclipse(ctx, day.mEclipse, cx + Math.cos(a) * (s.r1 - 0.08), cy + Math.sin(a) * (s.r1 - 0.08), Math.min(0.05, arc * 0.4));
+    }
+
+    // Text runs outward along the radius, turned over on the left half so
+    // it never reads upside down.
+    const em = Math.min(0.3, arc * 0.9);
+    ctx.save();
+    ctx.translate(cx + Math.cos(mid) * rMid, cy + Math.sin(mid) * rMid);
+    ctx.rotate(Math.cos(mid) < 0 ? mid + Math.PI : mid);
+    ctx.fillStyle = day.mIsRedDay ? _theme().redDay : _theme().label;
+    if (showSignSymbols && day.mSplitFraction !== null) {
+      _drawZodiacPath(ctx, day.mSignEnd, 0, 0, em * 1.1);
+    } else if (day.mBold) {
+      _drawMonth(ctx, day.mDate, 0, 0, em * 0.8);
+    } else {
+      _drawDigits(ctx, day.mDate, false, 0, 0, em);
+    }
+    ctx.restore();
+  },
+};
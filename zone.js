@@ -0,0 +1,116 @@
+// zone.js — Calendar arithmetic in a chosen IANA time zone.
+// No dependencies; uses the browser's Intl time zone data.
+//
+// A calendar day is the span between two local midnights, and which instants
+// those are depends on the zone. The Date getters (getDate(), getHours() …)
+// only ever answer for the machine's own zone, so everything that turns an
+// instant into a calendar day, or back, goes through here instead.
+//
+// TimeZone.name is an IANA zone such as "Asia/Tokyo", or null to follow the
+// browser. Months are 0-based and weekdays 0 = Sunday, as with Date.
+//
+//   parts(date)                 { year, month, day, hour, minute, second, weekday }
+//   fromParts(y, m, d, h, mi)   Instant when the zone's clock reads that; out-of-
+//                               range fields roll over as they do for new Date()
+//   startOfDay(date)            Local midnight opening date's day
+//   addDays(date, n)            Local midnight n days after date's day
+//   offsetMinutes(date)         Zone's offset at date, minutes east of UTC
+//   utc(y, m, d, h, mi, s)      Date.UTC, but years 0–99 stay themselves rather
+//                               than meaning 1900–1999
+
+const TimeZone = {
+  name: null,
+
+  _formats: {},
+
+  // Cached formatter for the current zone.
+  _format() {
+    if (!this._formats[this.name]) {
+      this._formats[this.name] = new Intl.DateTimeFormat('en-US', {
+        timeZone: this.name, hourCycle: 'h23', era: 'short',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric', weekday: 'short',
+      });
+    }
+    return this._formats[this.name];
+  },
+
+  // The zone in effect: TimeZone.name, or the browser's own.
+  label() {
+    return this.name || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  },
+
+  parts(date) {
+    if (!this.name) {
+      return {
+        year: date.getFullYear(), month: date.getMonth(), day: date.getDate(),
+        hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+        weekday: date.getDay(),
+      };
+    }
+    const p = {};
+    for (const { type, value } of this._format().formatToParts(date)) p[type] = value;
+    // Intl counts years before 1 AD as 1 BC, 2 BC …; Date has 0, −1 …
+    const year = parseInt(p.year, 10);
+    return {
+      year:    p.era === 'BC' ? 1 - year : year,
+      month:   parseInt(p.month, 10) - 1,
+      day:     parseInt(p.day, 10),
+      hour:    parseInt(p.hour, 10),
+      minute:  parseInt(p.minute, 10),
+      second:  parseInt(p.second, 10),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(p.weekday),
+    };
+  },
+
+  utc(year, month, day, hour = 0, minute = 0, second = 0) {
+    const t = new Date(0);
+    t.setUTCFullYear(year, month, day);
+    t.setUTCHours(hour, minute, second);
+    return t.getTime();
+  },
+
+  offsetMinutes(date) {
+    if (!this.name) return -date.getTimezoneOffset();
+    return Math.round(this._offsetMs(date) / 60000);
+  },
+
+  // The offset to the second: local mean time before a zone's first
+  // standard offset is rarely a whole number of minutes.
+  _offsetMs(date) {
+    const p = this.parts(date);
+    return this.utc(p.year, p.month, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+  },
+
+  // Try the offsets in force either side of the wall time; a time that falls
+  // in a spring-forward gap resolves to the later reading, as new Date() does.
+  fromParts(year, month, day, hour = 0, minute = 0) {
+    if (!this.name) {
+      const t = new Date(0);
+      t.setFullYear(year, month, day);
+      t.setHours(hour, minute, 0, 0);
+      return t;
+    }
+    const wall  = this.utc(year, month, day, hour, minute);
+    const tries = [...new Set([
+      wall - this._offsetMs(new Date(wall)),
+      wall - this._offsetMs(new Date(wall - 86400000)),
+      wall - this._offsetMs(new Date(wall + 86400000)),
+    ])].sort((a, b) => a - b);
+    const exact = tries.find(t => {
+      const p = this.parts(new Date(t));
+      return this.utc(p.year, p.month, p.day, p.hour, p.minute, p.second) === wall;
+    });
+    return new Date(exact !== undefined ? exact : tries[tries.length - 1]);
+  },
+
+  startOfDay(date) {
+    const p = this.parts(date);
+    return this.fromParts(p.year, p.month, p.day);
+  },
+
+  addDays(date, n) {
+    const p = this.parts(date);
+    return this.fromParts(p.year, p.month, p.day + n);
+  },
+};